@@ -0,0 +1,11 @@
+#!/usr/bin/env node
+/**
+ * llm-compact-logger CLI entry point
+ * See src/cli.js for commands.
+ */
+
+import { runCli } from '../src/cli.js';
+
+runCli(process.argv.slice(2)).then((code) => {
+  process.exitCode = code;
+});
@@ -0,0 +1,47 @@
+/**
+ * Example: Runtime error logging in a long-running process
+ *
+ * Errors are deduplicated by their normalized message, counted, and
+ * the reports are rewritten every 30 seconds while the process runs.
+ */
+
+import { CompactLogger } from '../src/compact-logger.js';
+
+const logger = new CompactLogger({
+  outputDir: './debug',
+  metadata: {
+    service: 'api',
+    version: '1.0.0'
+  },
+  // Log uncaught exceptions and unhandled rejections (the process still crashes)
+  captureProcessErrors: true,
+  // Rewrite the reports every 30s while new errors come in
+  flushInterval: 30000
+});
+
+async function handleRequest(req) {
+  try {
+    return await loadUser(req.userId);
+  } catch (error) {
+    // Same normalized message → same entry, counted with first/last seen
+    logger.logError(error, { route: req.route, userId: req.userId });
+    return null;
+  }
+}
+
+async function loadUser(id) {
+  const user = undefined;
+  return user.id; // TypeError: Cannot read properties of undefined (reading 'id')
+}
+
+async function main() {
+  for (let i = 0; i < 5; i++) {
+    await handleRequest({ route: '/users/:id', userId: `user-${i}` });
+  }
+
+  // On shutdown: write the final reports
+  const result = await logger.finalize();
+  console.log(`Runtime errors written to ${result.compactPath}`);
+}
+
+main().catch(console.error);
@@ -6,6 +6,8 @@
  * into the standardized CompactLogger format.
  */
 
+import path from 'path';
+
 export class BaseAdapter {
   constructor(logger) {
     if (!logger) {
@@ -41,10 +43,55 @@ export class BaseAdapter {
     throw new Error('extractSummary() must be implemented by adapter');
   }
 
+  /**
+   * Build a stable test ID from the file (relative to the working
+   * directory), the describe path and the test name, e.g.
+   * `src/math.test.js > sum > adds`. Tests whose path repeats
+   * (parameterized `each` cases with the same title) get their
+   * position among them: `... > adds [1]`.
+   * @param {string} file - Test file path
+   * @param {Array<string>} titles - Describe blocks and test name, outermost first
+   * @param {number} [index] - Position among tests with the same path (0 = none)
+   * @returns {string} Test ID
+   */
+  buildTestId(file, titles, index = 0) {
+    const id = [this.relativePath(file), ...titles.filter(Boolean)].join(' > ');
+    return index > 0 ? `${id} [${index}]` : id;
+  }
+
+  /**
+   * Snapshot file of a test file: the default `__snapshots__/<file>.snap`
+   * next to it (a custom snapshot resolver isn't known), or the test file
+   * itself for inline snapshots
+   * @param {string} testFile - Test file path
+   * @param {boolean} [inline] - Inline snapshot
+   * @returns {string} Path relative to the working directory
+   */
+  snapshotPath(testFile, inline = false) {
+    if (!testFile || inline) return this.relativePath(testFile);
+    return this.relativePath(path.join(path.dirname(testFile), '__snapshots__', `${path.basename(testFile)}.snap`));
+  }
+
+  relativePath(file) {
+    return file ? path.relative(process.cwd(), file).split(path.sep).join('/') : 'unknown';
+  }
+
+  /**
+   * How many earlier tests in the same describe block share a test's title
+   * @param {Array<string>} titles - Titles of the tests in the block, in order
+   * @param {number} position - The test's position in `titles`
+   * @returns {number} Index for buildTestId (0 for the first or only one)
+   */
+  repeatIndex(titles, position) {
+    if (position < 0) return 0;
+    return titles.slice(0, position).filter(title => title === titles[position]).length;
+  }
+
   /**
    * Standard failure format specification
    * @typedef {Object} StandardFailure
    * @property {string} name - Test/check name
+   * @property {string} [id] - Stable test ID (see buildTestId)
    * @property {Object} location - Location info
    * @property {string} location.file - File path
    * @property {number} [location.line] - Line number
@@ -54,18 +101,37 @@ export class BaseAdapter {
    * @property {*} [error.expected] - Expected value
    * @property {*} [error.actual] - Actual value
    * @property {string} [error.stack] - Stack trace
+   * @property {Object} [error.location] - Where the error was thrown ({ file, line }), if known
+   * @property {*} [error.cause] - Wrapped error, followed as a chain
+   * @property {Array} [error.errors] - AggregateError members
+   * @property {Array} [error.others] - Further errors reported for the same test
+   * @property {Object} [error.snapshot] - Snapshot mismatch ({ key, file, inline, expected, actual })
    * @property {Object} [context] - Additional context
+   * @property {string} [kind] - Suite-level failures only: 'collect', 'hook' or 'unhandled'
    */
 
   /**
    * Standard pass format specification
    * @typedef {Object} StandardPass
    * @property {string} name - Test/check name
+   * @property {string} [id] - Stable test ID (see buildTestId)
    * @property {Object} location - Location info
    * @property {string} location.file - File path
    * @property {number} [location.line] - Line number
    * @property {number} [duration] - Duration in ms
    */
+
+  /**
+   * Standard skip format specification
+   * @typedef {Object} StandardSkip
+   * @property {string} name - Test/check name
+   * @property {string} [id] - Stable test ID (see buildTestId)
+   * @property {Object} location - Location info
+   * @property {string} location.file - File path
+   * @property {number} [location.line] - Line number
+   * @property {string} [status] - 'skip' (default) or 'todo'
+   * @property {string} [reason] - Skip reason, if the framework reports one
+   */
 }
 
 export default BaseAdapter;
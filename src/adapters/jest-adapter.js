@@ -13,18 +13,40 @@
 
 import { BaseAdapter } from './base-adapter.js';
 import { CompactLogger } from '../compact-logger.js';
+import { createEnhancers } from '../enhancements/index.js';
+import { runEnhancementPipeline, resolveEnhancementOptions } from '../enhancements/pipeline.js';
+import { getGitCommit, printReportSummary } from './reporter-utils.js';
+
+// Jest statuses of tests that didn't run (skip, only, todo)
+const SKIPPED_STATUSES = new Set(['pending', 'skipped', 'todo', 'disabled']);
 
 export class JestAdapter extends BaseAdapter {
+  constructor(logger) {
+    super(logger);
+    // Test file → console buffer, kept from the per-file results
+    this.consoleBuffers = new Map();
+  }
+
   convertFailure(jestTestResult, jestTest) {
     // Extract first failure message
     const failureMessage = jestTest.failureMessages?.[0] || '';
 
-    // Try to extract expected/actual from Jest's assertion errors
-    const expected = this.extractExpected(failureMessage);
-    const actual = this.extractActual(failureMessage);
+    // Prefer the raw matcher values; fall back to parsing the formatted message
+    const matcherResult = jestTest.failureDetails?.[0]?.matcherResult;
+    const expected = matcherResult ? matcherResult.expected : this.extractExpected(failureMessage);
+    const actual = matcherResult ? matcherResult.actual : this.extractActual(failureMessage);
+
+    // Raw errors keep the cause chain; failureDetails can be empty objects
+    // when they don't survive serialization, so fall back to the messages
+    const details = jestTest.failureDetails?.[0];
+    const others = (jestTest.failureMessages || []).slice(1).map((message, i) => {
+      const detail = jestTest.failureDetails?.[i + 1];
+      return detail?.message ? detail : this.parseFailureMessage(message);
+    });
 
     return {
       name: jestTest.fullName || jestTest.title,
+      id: this.getTestId(jestTestResult, jestTest),
       location: {
         file: jestTestResult.testFilePath,
         line: jestTest.location?.line
@@ -34,26 +56,148 @@ export class JestAdapter extends BaseAdapter {
         message: this.cleanMessage(failureMessage),
         expected,
         actual,
-        stack: failureMessage
+        stack: failureMessage,
+        cause: details?.cause,
+        errors: details?.errors,
+        others,
+        snapshot: this.extractSnapshot(failureMessage, matcherResult, jestTestResult.testFilePath)
       }
     };
   }
 
+  /**
+   * Snapshot details of a toMatchSnapshot/toMatchInlineSnapshot (or
+   * toThrowErrorMatching...) failure. The serialized snapshots come from
+   * `matcherResult`; without failureDetails they are rebuilt from the
+   * diff in the message, which only holds the lines around the changes.
+   * @param {string} message - Failure message
+   * @param {Object} [matcherResult] - failureDetails[0].matcherResult
+   * @param {string} file - Test file path
+   * @returns {Object|undefined} { key, file, inline, expected, actual }
+   */
+  extractSnapshot(message, matcherResult, file) {
+    const clean = message.replace(/\u001b\[[0-9;]*m/g, '');
+    const matcher = clean.match(/\.to(?:Match|ThrowErrorMatching)(Inline)?Snapshot\(/);
+    if (!matcher) return undefined;
+
+    const inline = Boolean(matcher[1]);
+    const notWritten = clean.includes('New snapshot was not written');
+    const parsed = matcherResult ? null : this.parseSnapshotDiff(clean);
+
+    return {
+      key: clean.match(/Snapshot name: `(.+)`/)?.[1],
+      file: this.snapshotPath(file, inline),
+      inline,
+      expected: notWritten ? undefined : (matcherResult ? matcherResult.expected : parsed?.expected),
+      actual: matcherResult ? matcherResult.actual : parsed?.actual
+    };
+  }
+
+  /**
+   * Rebuild both sides of a snapshot diff printed by Jest
+   * ("- Snapshot  - 1" / "+ Received  + 1", then "- ", "+ " and "  " lines)
+   * @param {string} message - Failure message without colors
+   * @returns {Object|null} { expected, actual } or null without a diff
+   */
+  parseSnapshotDiff(message) {
+    const lines = message.split('\n');
+    const start = lines.findIndex(line => /^- Snapshot\b/.test(line));
+    if (start === -1) return null;
+
+    const expected = [];
+    const actual = [];
+    for (const line of lines.slice(start + 1)) {
+      if (/^\s+at /.test(line)) break;
+      if (/^\+ Received\b/.test(line) || line.startsWith('@@') || line === '') continue;
+
+      const text = line.slice(2);
+      if (line.startsWith('- ') || line === '-') expected.push(text);
+      else if (line.startsWith('+ ') || line === '+') actual.push(text);
+      else if (line.startsWith('  ')) {
+        expected.push(text);
+        actual.push(text);
+      }
+    }
+
+    return { expected: expected.join('\n'), actual: actual.join('\n') };
+  }
+
   convertPass(jestTestResult, jestTest) {
+    // jest.retryTimes(): `invocations` counts the attempts, `retryReasons`
+    // (Jest 29.3+) holds the failure messages of the failed ones
+    const retryReasons = jestTest.retryReasons || [];
+
     return {
       name: jestTest.fullName || jestTest.title,
+      id: this.getTestId(jestTestResult, jestTest),
       location: {
         file: jestTestResult.testFilePath
       },
-      duration: jestTest.duration || 0
+      duration: jestTest.duration || 0,
+      retries: Math.max((jestTest.invocations || 1) - 1, retryReasons.length),
+      attempts: retryReasons.map(message => this.parseFailureMessage(message))
     };
   }
 
+  /**
+   * Convert a test file that failed to run (syntax or import error,
+   * crashed worker) or a run-level error
+   * @param {Object} error - testExecError / runExecError ({ message, stack })
+   * @param {string} [file] - Test file path
+   * @returns {Object} Standard failure object with `kind`
+   */
+  convertExecError(error, file) {
+    const message = error.message || '';
+
+    return {
+      name: file ? this.logger.extractFilename(file) : 'Test run',
+      kind: file ? 'collect' : 'unhandled',
+      location: {
+        file
+      },
+      error: {
+        type: error.name || this.extractErrorType(message),
+        message: this.cleanExecMessage(message),
+        stack: error.stack
+      }
+    };
+  }
+
+  convertSkip(jestTestResult, jestTest) {
+    return {
+      name: jestTest.fullName || jestTest.title,
+      id: this.getTestId(jestTestResult, jestTest),
+      location: {
+        file: jestTestResult.testFilePath,
+        line: jestTest.location?.line
+      },
+      status: jestTest.status === 'todo' ? 'todo' : 'skip'
+    };
+  }
+
+  /**
+   * Stable test ID from the describe blocks (`ancestorTitles`) and title
+   * (see BaseAdapter.buildTestId)
+   * @param {Object} jestTestResult - Jest per-file result
+   * @param {Object} jestTest - Jest assertion result
+   * @returns {string} Test ID
+   */
+  getTestId(jestTestResult, jestTest) {
+    const path = test => [...(test.ancestorTitles || []), test.title].join(' > ');
+    const tests = jestTestResult.testResults || [];
+    const index = this.repeatIndex(tests.map(path), tests.indexOf(jestTest));
+
+    return this.buildTestId(jestTestResult.testFilePath, [...(jestTest.ancestorTitles || []), jestTest.title], index);
+  }
+
   extractSummary(jestResults) {
+    const skipped = (jestResults.numPendingTests || 0) + (jestResults.numTodoTests || 0);
+
     return {
       tot: jestResults.numTotalTests,
       pas: jestResults.numPassedTests,
       fai: jestResults.numFailedTests,
+      ...(skipped > 0 && { skp: skipped }),
       rate: jestResults.numTotalTests > 0
         ? Math.round((jestResults.numPassedTests / jestResults.numTotalTests) * 100)
         : 0
@@ -64,14 +208,28 @@ export class JestAdapter extends BaseAdapter {
    * Process Jest results
    */
   processResults(jestResults) {
-    const results = { failures: [], passes: [] };
+    const results = { failures: [], passes: [], skips: [], suiteFailures: [] };
+
+    if (jestResults.runExecError) {
+      results.suiteFailures.push(this.convertExecError(jestResults.runExecError));
+    }
 
     for (const testResult of jestResults.testResults) {
+      if (testResult.testExecError) {
+        results.suiteFailures.push(this.convertExecError(testResult.testExecError, testResult.testFilePath));
+      }
+
+      const logs = this.assignConsoleLogs(testResult);
+
       for (const test of testResult.testResults) {
         if (test.status === 'failed') {
-          results.failures.push(this.convertFailure(testResult, test));
+          const failure = this.convertFailure(testResult, test);
+          if (logs.has(test)) failure.logs = logs.get(test);
+          results.failures.push(failure);
         } else if (test.status === 'passed') {
           results.passes.push(this.convertPass(testResult, test));
+        } else if (SKIPPED_STATUSES.has(test.status)) {
+          results.skips.push(this.convertSkip(testResult, test));
         }
       }
     }
@@ -79,7 +237,68 @@ export class JestAdapter extends BaseAdapter {
     return results;
   }
 
+  /**
+   * Split a file's console buffer by test. Jest buffers console output
+   * per file, so each entry goes to the test declared closest above the
+   * line that logged it (needs `testLocationInResults`); without
+   * locations, a file with one failing test gets all of its output.
+   * @param {Object} testResult - Jest per-file result
+   * @returns {Map} Test → console entries ([{ type, message }])
+   */
+  assignConsoleLogs(testResult) {
+    const file = testResult.testFilePath;
+    if (testResult.console?.length > 0) {
+      this.consoleBuffers.set(file, testResult.console);
+    }
+
+    const buffer = this.consoleBuffers.get(file);
+    const logs = new Map();
+    if (!buffer || !testResult.testResults) return logs;
+
+    const tests = testResult.testResults
+      .filter(test => test.location?.line)
+      .sort((a, b) => a.location.line - b.location.line);
+
+    if (tests.length === 0) {
+      const failed = testResult.testResults.filter(test => test.status === 'failed');
+      if (failed.length === 1) {
+        logs.set(failed[0], buffer.map(({ type, message }) => ({ type, message })));
+      }
+      return logs;
+    }
+
+    for (const { type, message, origin } of buffer) {
+      const line = this.extractOriginLine(origin, file);
+      const test = line && tests.filter(candidate => candidate.location.line <= line).pop();
+      if (!test) continue;
+
+      if (!logs.has(test)) logs.set(test, []);
+      logs.get(test).push({ type, message });
+    }
+
+    return logs;
+  }
+
+  /**
+   * Line in the test file that a console call came from
+   * @param {string} origin - Console entry origin (stack trace)
+   * @param {string} file - Test file path
+   * @returns {number|null} Line number
+   */
+  extractOriginLine(origin, file) {
+    for (const line of (origin || '').split('\n')) {
+      if (!line.includes(file)) continue;
+      const match = line.match(/:(\d+):\d+\)?\s*$/);
+      if (match) return parseInt(match[1], 10);
+    }
+    return null;
+  }
+
   // Helper methods for parsing Jest's formatted output
+  parseFailureMessage(message) {
+    return { name: this.extractErrorType(message), message: this.cleanMessage(message), stack: message };
+  }
+
   extractErrorType(message) {
     const match = message.match(/^(\w+Error):/);
     return match ? match[1] : 'Error';
@@ -95,6 +314,13 @@ export class JestAdapter extends BaseAdapter {
     return match ? match[1].trim() : undefined;
   }
 
+  cleanExecMessage(message) {
+    // First non-empty line, without Jest's "● Test suite failed to run" header
+    return message.split('\n')
+      .map(line => line.trim())
+      .find(line => line && !line.startsWith('●')) || message;
+  }
+
   cleanMessage(message) {
     // Extract just the assertion line, remove stack traces
     const lines = message.split('\n');
@@ -113,58 +339,74 @@ export class JestAdapter extends BaseAdapter {
 export class JestReporter {
   constructor(globalConfig, options = {}) {
     this.globalConfig = globalConfig;
-    this.options = options;
+    this.options = {
+      outputDir: '.',
+      ...options,
+      // Enhancement options (same block VitestReporter accepts)
+      enhancements: resolveEnhancementOptions(options.enhancements),
+      // Custom enhancers ({ name, async, after, enhance })
+      enhancers: options.enhancers || []
+    };
 
     this.logger = new CompactLogger({
-      outputDir: options.outputDir || '.',
+      outputDir: this.options.outputDir,
       metadata: {
         framework: 'jest',
-        commit: this.getGitCommit()
+        commit: getGitCommit()
       },
-      ...options
+      ...this.options
     });
 
     this.adapter = new JestAdapter(this.logger);
   }
 
+  onTestStart(test) {
+    // Jest reports per file, so only the file is known
+    this.logger.setRunningTest({ location: { file: test.path } });
+  }
+
+  onTestResult(test, testResult) {
+    // Recorded early for the stream file and crashSafe partial reports
+    const processed = this.adapter.processResults({ testResults: [testResult] });
+    processed.failures.forEach(failure => this.logger.streamFailure(failure));
+    processed.passes.forEach(pass => this.logger.streamPass(pass));
+    processed.skips.forEach(skip => this.logger.streamSkip(skip));
+    this.logger.setRunningTest(null);
+  }
+
   async onRunComplete(contexts, results) {
     // Process all test results
     const processed = this.adapter.processResults(results);
 
-    // Log all failures and passes
-    for (const failure of processed.failures) {
-      this.logger.logFailure(failure);
-    }
-
-    for (const pass of processed.passes) {
-      this.logger.logPass(pass);
-    }
-
     // Extract summary
     const summary = this.adapter.extractSummary(results);
 
+    const enhancers = await createEnhancers({
+      outputDir: this.options.outputDir,
+      ...this.options.enhancements
+    });
+
+    // Enhance and log all failures and passes
+    await runEnhancementPipeline(enhancers, {
+      logger: this.logger,
+      failures: processed.failures,
+      passes: processed.passes,
+      skips: processed.skips,
+      suiteFailures: processed.suiteFailures,
+      summary,
+      framework: 'jest',
+      custom: this.options.enhancers
+    });
+
     // Finalize and write reports
     const metadata = await this.logger.finalize(summary);
 
     // Console output
-    console.log('\n📊 Debug Reports Generated:');
-    console.log(`   • ${metadata.fullPath}    (full, ~${metadata.fullTokens} tokens)`);
-    console.log(`   • ${metadata.compactPath}   (compact, ~${metadata.compactTokens} tokens)`);
-
-    if (metadata.failures > 0) {
-      const byFile = this.logger.groupByFile(this.logger.failures);
-      console.log('\n🔍 Quick Analysis:');
-      console.log(`   Most failing: ${this.logger.getMostFailingFile(byFile)}`);
-      console.log(`   Common error: ${this.logger.getMostCommonError(this.logger.failures)}`);
-    }
-  }
+    printReportSummary(this.logger, metadata);
 
-  getGitCommit() {
-    try {
-      const { execSync } = require('child_process');
-      return execSync('git rev-parse --short HEAD', { encoding: 'utf8' }).trim();
-    } catch {
-      return 'local';
+    // Cleanup
+    if (enhancers?.index) {
+      enhancers.index.close();
     }
   }
 }
@@ -0,0 +1,267 @@
+/**
+ * Mocha Adapter
+ *
+ * Converts Mocha runner events into the standardized format
+ * for CompactLogger. Can be used as a custom Mocha reporter.
+ *
+ * @usage
+ * // .mocharc.json
+ * {
+ *   "reporter": "llm-compact-logger/adapters/mocha",
+ *   "reporter-option": ["outputDir=./debug"]
+ * }
+ */
+
+import path from 'path';
+import { BaseAdapter } from './base-adapter.js';
+import { CompactLogger } from '../compact-logger.js';
+import { createEnhancers } from '../enhancements/index.js';
+import { runEnhancementPipeline, resolveEnhancementOptions } from '../enhancements/pipeline.js';
+import { getGitCommit, printReportSummary } from './reporter-utils.js';
+
+export class MochaAdapter extends BaseAdapter {
+  convertFailure(mochaTest, err = {}) {
+    return {
+      name: mochaTest.fullTitle(),
+      id: this.getTestId(mochaTest),
+      location: {
+        file: mochaTest.file,
+        line: this.extractLine(err.stack, mochaTest.file)
+      },
+      error: {
+        type: err.name || 'Error',
+        message: err.message || '',
+        expected: err.expected,
+        actual: err.actual,
+        stack: err.stack,
+        cause: err.cause,
+        errors: err.errors
+      }
+    };
+  }
+
+  /**
+   * Convert a passed test; with `this.retries(n)` it may have passed on a retry
+   * @param {Object} mochaTest - Mocha test
+   * @param {Array} [attempts] - Errors of the failed attempts (`retry` events)
+   * @returns {Object} Standard pass object
+   */
+  convertPass(mochaTest, attempts = []) {
+    return {
+      name: mochaTest.fullTitle(),
+      id: this.getTestId(mochaTest),
+      location: {
+        file: mochaTest.file
+      },
+      duration: mochaTest.duration || 0,
+      retries: mochaTest.currentRetry?.() || 0,
+      attempts
+    };
+  }
+
+  convertSkip(mochaTest) {
+    return {
+      name: mochaTest.fullTitle(),
+      id: this.getTestId(mochaTest),
+      location: {
+        file: mochaTest.file
+      },
+      status: 'skip'
+    };
+  }
+
+  /**
+   * Stable test ID from the suite titles and test title
+   * (see BaseAdapter.buildTestId)
+   * @param {Object} mochaTest - Mocha test
+   * @returns {string} Test ID
+   */
+  getTestId(mochaTest) {
+    const siblings = mochaTest.parent?.tests || [];
+    const index = this.repeatIndex(siblings.map(test => test.title), siblings.indexOf(mochaTest));
+    const titles = mochaTest.titlePath ? mochaTest.titlePath() : [mochaTest.title];
+
+    return this.buildTestId(mochaTest.file, titles, index);
+  }
+
+  extractSummary(results) {
+    const total = results.failures.length + results.passes.length + results.skips.length;
+
+    return {
+      tot: total,
+      pas: results.passes.length,
+      fai: results.failures.length,
+      ...(results.skips.length > 0 && { skp: results.skips.length }),
+      rate: total > 0 ? Math.round((results.passes.length / total) * 100) : 0
+    };
+  }
+
+  /**
+   * Mocha doesn't expose test line numbers, so take it from the
+   * first stack frame pointing into the test file. Mocha's stack filter
+   * strips the cwd from frames, so the path may be relative.
+   * @param {string} stack - Stack trace
+   * @param {string} file - Test file path
+   * @returns {number|undefined} Line number
+   */
+  extractLine(stack, file) {
+    if (!stack || !file) return undefined;
+
+    // Full or cwd-relative path first, then the bare file name
+    const basename = path.basename(file);
+    const passes = [
+      [file, path.relative(process.cwd(), file)],
+      [`/${basename}`, `\\${basename}`, `(${basename}`, ` ${basename}`]
+    ];
+    const lines = stack.split('\n');
+
+    for (const candidates of passes) {
+      for (const line of lines) {
+        if (candidates.some(candidate => line.includes(`${candidate}:`))) {
+          const match = line.match(/:(\d+):\d+/);
+          if (match) {
+            return parseInt(match[1]);
+          }
+        }
+      }
+    }
+
+    return undefined;
+  }
+}
+
+/**
+ * Mocha Reporter - listens to Mocha's runner events
+ */
+export class MochaReporter {
+  constructor(runner, mochaOptions = {}) {
+    const options = parseReporterOptions(mochaOptions.reporterOptions || {});
+
+    this.options = {
+      outputDir: '.',
+      ...options,
+      enhancements: resolveEnhancementOptions(options.enhancements),
+      // Custom enhancers ({ name, async, after, enhance })
+      enhancers: options.enhancers || []
+    };
+
+    this.logger = new CompactLogger({
+      outputDir: this.options.outputDir,
+      metadata: {
+        framework: 'mocha',
+        commit: getGitCommit()
+      },
+      ...this.options
+    });
+
+    this.adapter = new MochaAdapter(this.logger);
+    this.results = { failures: [], passes: [], skips: [], suiteFailures: [] };
+    this.reportPromise = null;
+    // Test ID → errors of its failed attempts (`retry` events)
+    this.failedAttempts = new Map();
+
+    runner.on('test', (test) => {
+      this.logger.setRunningTest(this.adapter.convertPass(test));
+    });
+
+    // An attempt failed and the test will run again (this.retries(n))
+    runner.on('retry', (test, err) => {
+      const id = this.adapter.getTestId(test);
+      this.failedAttempts.set(id, [...(this.failedAttempts.get(id) || []), err]);
+    });
+
+    runner.on('pass', (test) => {
+      const pass = this.adapter.convertPass(test, this.failedAttempts.get(this.adapter.getTestId(test)));
+      this.results.passes.push(pass);
+      this.logger.streamPass(pass);
+    });
+
+    runner.on('fail', (test, err) => {
+      const failure = this.adapter.convertFailure(test, err);
+
+      // A failing before/after hook, e.g. '"before all" hook for "creates user"'
+      if (test.type === 'hook') {
+        this.results.suiteFailures.push({ ...failure, kind: 'hook' });
+        return;
+      }
+
+      this.results.failures.push(failure);
+      this.logger.streamFailure(failure);
+    });
+
+    runner.on('pending', (test) => {
+      const skip = this.adapter.convertSkip(test);
+      this.results.skips.push(skip);
+      this.logger.streamSkip(skip);
+    });
+
+    runner.once('end', () => {
+      this.reportPromise = this.onEnd().catch((error) => {
+        console.warn(`MochaReporter: Failed to write reports: ${error.message}`);
+      });
+    });
+  }
+
+  async onEnd() {
+    const summary = this.adapter.extractSummary(this.results);
+
+    const enhancers = await createEnhancers({
+      outputDir: this.options.outputDir,
+      ...this.options.enhancements
+    });
+
+    // Enhance and log all failures and passes
+    await runEnhancementPipeline(enhancers, {
+      logger: this.logger,
+      failures: this.results.failures,
+      passes: this.results.passes,
+      skips: this.results.skips,
+      suiteFailures: this.results.suiteFailures,
+      summary,
+      framework: 'mocha',
+      custom: this.options.enhancers
+    });
+
+    // Finalize and write reports
+    const metadata = await this.logger.finalize(summary);
+
+    // Console output
+    printReportSummary(this.logger, metadata);
+
+    // Cleanup
+    if (enhancers?.index) {
+      enhancers.index.close();
+    }
+  }
+
+  /**
+   * Called by Mocha before exiting - holds the process until reports are written
+   * @param {number} failures - Number of failures
+   * @param {Function} fn - Mocha's completion callback
+   */
+  done(failures, fn) {
+    Promise.resolve(this.reportPromise).then(() => fn(failures));
+  }
+}
+
+/**
+ * Options from the CLI or .mocharc (`reporter-option`, `key=value`) arrive
+ * as strings; turn booleans and numbers back into values
+ * @param {Object} options - Mocha reporterOptions
+ * @returns {Object} Options
+ */
+function parseReporterOptions(options) {
+  const parsed = {};
+  for (const [key, value] of Object.entries(options)) {
+    if (value === 'true' || value === 'false') {
+      parsed[key] = value === 'true';
+    } else if (typeof value === 'string' && value.trim() !== '' && !isNaN(value)) {
+      parsed[key] = Number(value);
+    } else {
+      parsed[key] = value;
+    }
+  }
+  return parsed;
+}
+
+export default MochaReporter;
@@ -0,0 +1,73 @@
+/**
+ * Mocha Reporter - CommonJS entry
+ *
+ * Mocha loads reporters with require(), which returns the module namespace
+ * (not the reporter class) for ES modules, or throws ERR_REQUIRE_ESM on
+ * Node versions without require(esm). This entry exports the class itself:
+ * required directly where Node supports it, otherwise imported, with the
+ * runner events received in the meantime replayed to it.
+ *
+ * @usage
+ * // .mocharc.json
+ * {
+ *   "reporter": "llm-compact-logger/adapters/mocha",
+ *   "reporter-option": ["outputDir=./debug"]
+ * }
+ */
+
+'use strict';
+
+const { EventEmitter } = require('events');
+
+// Runner events MochaReporter listens to
+const RUNNER_EVENTS = ['test', 'retry', 'pass', 'fail', 'pending', 'end'];
+
+/**
+ * Loads the ES module reporter asynchronously and forwards runner events
+ * to it, queued until it is loaded
+ */
+class DeferredMochaReporter {
+  constructor(runner, mochaOptions = {}) {
+    const events = new EventEmitter();
+    const queue = [];
+    let forward = (event, args) => queue.push([event, args]);
+
+    for (const event of RUNNER_EVENTS) {
+      runner.on(event, (...args) => forward(event, args));
+    }
+
+    this.ready = import('./mocha-adapter.js').then(({ MochaReporter }) => {
+      this.reporter = new MochaReporter(events, mochaOptions);
+      forward = (event, args) => events.emit(event, ...args);
+      for (const [event, args] of queue) {
+        events.emit(event, ...args);
+      }
+    });
+  }
+
+  /**
+   * Called by Mocha before exiting - holds the process until reports are written
+   * @param {number} failures - Number of failures
+   * @param {Function} fn - Mocha's completion callback
+   */
+  done(failures, fn) {
+    this.ready.then(
+      () => this.reporter.done(failures, fn),
+      (error) => {
+        console.warn(`MochaReporter: Failed to load reporter: ${error.message}`);
+        fn(failures);
+      }
+    );
+  }
+}
+
+function loadReporter() {
+  try {
+    return require('./mocha-adapter.js').MochaReporter;
+  } catch (error) {
+    if (error.code !== 'ERR_REQUIRE_ESM') throw error;
+    return DeferredMochaReporter;
+  }
+}
+
+module.exports = loadReporter();
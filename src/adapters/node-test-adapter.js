@@ -0,0 +1,337 @@
+/**
+ * Node Test Runner Adapter
+ *
+ * Converts `node:test` reporter events into the standardized format
+ * for CompactLogger. Can be used as a custom `node --test` reporter.
+ *
+ * @usage
+ * node --test \
+ *   --test-reporter=spec --test-reporter-destination=stdout \
+ *   --test-reporter=llm-compact-logger/adapters/node-test --test-reporter-destination=stderr
+ *
+ * // Custom options: export your own reporter module
+ * import { createNodeTestReporter } from 'llm-compact-logger/adapters/node-test';
+ * export default createNodeTestReporter({ outputDir: './debug' });
+ */
+
+import { BaseAdapter } from './base-adapter.js';
+import { CompactLogger } from '../compact-logger.js';
+import { createEnhancers } from '../enhancements/index.js';
+import { runEnhancementPipeline, resolveEnhancementOptions } from '../enhancements/pipeline.js';
+import { getGitCommit, formatReportSummary } from './reporter-utils.js';
+
+// Run-level diagnostics printed by Node versions without `test:summary`
+const SUMMARY_DIAGNOSTIC = /^(tests|pass|fail|cancelled|skipped|todo) (\d+)$/;
+
+export class NodeTestAdapter extends BaseAdapter {
+  constructor(logger) {
+    super(logger);
+    // File → started tests by nesting level ({ name, id }), from test:start
+    this.started = new Map();
+    // Test path → times started, to number repeated names
+    this.seen = new Map();
+  }
+
+  /**
+   * Track a started test (or suite) so its result gets the describe
+   * path. test:start events come in definition order, parents first.
+   * @param {Object} data - test:start event data
+   */
+  startTest(data) {
+    const nesting = data.nesting || 0;
+    const levels = (this.started.get(data.file) || []).slice(0, nesting);
+    const parent = levels.length === nesting ? levels[nesting - 1] : null;
+
+    const path = parent ? `${parent.id} > ${data.name}` : this.buildTestId(data.file, [data.name]);
+    const count = this.seen.get(path) || 0;
+    this.seen.set(path, count + 1);
+
+    levels.push({ name: data.name, id: count > 0 ? `${path} [${count}]` : path });
+    this.started.set(data.file, levels);
+  }
+
+  /**
+   * Stable test ID of a test:start/pass/fail event (see BaseAdapter.buildTestId);
+   * just file and name if its test:start wasn't seen
+   * @param {Object} data - Event data
+   * @returns {string} Test ID
+   */
+  getTestId(data) {
+    const level = this.started.get(data.file)?.[data.nesting || 0];
+    return level?.name === data.name ? level.id : this.buildTestId(data.file, [data.name]);
+  }
+
+  convertFailure(data) {
+    const error = this.unwrapError(data.details?.error);
+
+    return {
+      name: data.name,
+      id: this.getTestId(data),
+      location: {
+        file: data.file,
+        line: data.line
+      },
+      error: {
+        type: error.name || 'Error',
+        message: error.message || '',
+        expected: error.expected,
+        actual: error.actual,
+        stack: error.stack,
+        cause: error.cause,
+        errors: error.errors
+      }
+    };
+  }
+
+  convertPass(data) {
+    return {
+      name: data.name,
+      id: this.getTestId(data),
+      location: {
+        file: data.file
+      },
+      duration: Math.round(data.details?.duration_ms || 0)
+    };
+  }
+
+  /**
+   * Convert a skipped or todo test; `skip`/`todo` hold the reason when
+   * one was given (t.skip('reason'), { todo: 'reason' })
+   * @param {Object} data - test:pass event data
+   * @returns {Object} Standard skip object
+   */
+  convertSkip(data) {
+    const todo = data.todo !== undefined && data.todo !== false;
+    const reason = todo ? data.todo : data.skip;
+
+    return {
+      name: data.name,
+      id: this.getTestId(data),
+      location: {
+        file: data.file,
+        line: data.line
+      },
+      status: todo ? 'todo' : 'skip',
+      reason: typeof reason === 'string' ? reason : undefined
+    };
+  }
+
+  extractSummary(counts) {
+    const total = counts.tests || 0;
+    const passed = counts.passed ?? counts.pass ?? 0;
+    const failed = counts.failed ?? counts.fail ?? 0;
+    const skipped = (counts.skipped || 0) + (counts.todo || 0);
+
+    return {
+      tot: total,
+      pas: passed,
+      fai: failed,
+      ...(skipped > 0 && { skp: skipped }),
+      rate: total > 0 ? Math.round((passed / total) * 100) : 0
+    };
+  }
+
+  /**
+   * Unwrap the runner's ERR_TEST_FAILURE wrapper to reach the
+   * error the test actually threw (e.g. the AssertionError)
+   * @param {*} error - details.error from a test:fail event
+   * @returns {Object} Innermost error
+   */
+  unwrapError(error) {
+    let current = error;
+
+    while (current?.code === 'ERR_TEST_FAILURE' && current.cause !== undefined) {
+      current = current.cause;
+    }
+
+    if (current === null || current === undefined) return {};
+    if (typeof current !== 'object') return { message: String(current) };
+    return current;
+  }
+
+  /**
+   * Suites report test:pass/test:fail too; only count real tests
+   * @param {Object} data - Event data
+   * @returns {boolean} True if the event is for a suite
+   */
+  isSuite(data) {
+    return data.details?.type === 'suite';
+  }
+
+  /**
+   * Parse a run-level summary diagnostic like "pass 12"
+   * @param {Object} data - test:diagnostic event data
+   * @returns {Array|null} [key, count] or null
+   */
+  parseSummaryDiagnostic(data) {
+    if (data.file || data.nesting > 0) return null;
+
+    const match = data.message?.match(SUMMARY_DIAGNOSTIC);
+    return match ? [match[1], parseInt(match[2])] : null;
+  }
+}
+
+/**
+ * Node Test Reporter - consumes the `node:test` event stream
+ */
+export class NodeTestReporter {
+  constructor(options = {}) {
+    this.options = {
+      outputDir: '.',
+      ...options,
+      enhancements: resolveEnhancementOptions(options.enhancements),
+      // Custom enhancers ({ name, async, after, enhance })
+      enhancers: options.enhancers || []
+    };
+
+    this.logger = new CompactLogger({
+      outputDir: this.options.outputDir,
+      metadata: {
+        framework: 'node-test',
+        commit: getGitCommit()
+      },
+      ...this.options
+    });
+
+    this.adapter = new NodeTestAdapter(this.logger);
+    this.results = { failures: [], passes: [], skips: [] };
+    this.counts = null;
+    this.diagnosticCounts = {};
+    this.lastResult = null;
+  }
+
+  /**
+   * Handle one event from the test runner
+   * @param {Object} event - { type, data }
+   */
+  onEvent({ type, data }) {
+    switch (type) {
+      case 'test:start':
+        this.adapter.startTest(data);
+        this.logger.setRunningTest({ name: data.name, id: this.adapter.getTestId(data), location: { file: data.file } });
+        break;
+
+      case 'test:pass':
+        if (this.adapter.isSuite(data)) break;
+        this.lastResult = { key: this.diagnosticKey(data), failure: null };
+        if (data.skip || data.todo) {
+          const skip = this.adapter.convertSkip(data);
+          this.results.skips.push(skip);
+          this.logger.streamSkip(skip);
+        } else {
+          const pass = this.adapter.convertPass(data);
+          this.results.passes.push(pass);
+          this.logger.streamPass(pass);
+        }
+        break;
+
+      case 'test:fail': {
+        if (this.adapter.isSuite(data)) break;
+        const failure = this.adapter.convertFailure(data);
+        this.lastResult = { key: this.diagnosticKey(data), failure };
+        this.results.failures.push(failure);
+        this.logger.streamFailure(failure);
+        break;
+      }
+
+      case 'test:diagnostic': {
+        const summary = this.adapter.parseSummaryDiagnostic(data);
+        if (summary) {
+          this.diagnosticCounts[summary[0]] = summary[1];
+        } else {
+          this.attachDiagnostic(data);
+        }
+        break;
+      }
+
+      case 'test:summary':
+        // Per-file summaries carry `file`; the run-wide one does not
+        if (!data.file) {
+          this.counts = data.counts;
+        }
+        break;
+    }
+  }
+
+  /**
+   * Attach a t.diagnostic() message to the failure it belongs to.
+   * Diagnostics are reported right after their test's result.
+   * @param {Object} data - test:diagnostic event data
+   */
+  attachDiagnostic(data) {
+    const failure = this.lastResult?.failure;
+    if (!failure || this.lastResult.key !== this.diagnosticKey(data)) return;
+
+    failure.context = {
+      ...failure.context,
+      diag: [...(failure.context?.diag || []), data.message]
+    };
+  }
+
+  diagnosticKey(data) {
+    return `${data.file || ''}#${data.nesting || 0}`;
+  }
+
+  /**
+   * Write the reports once the run is over
+   * @returns {Promise<string>} Summary text for the reporter's output stream
+   */
+  async onEnd() {
+    const counts = this.counts || (this.diagnosticCounts.tests !== undefined
+      ? this.diagnosticCounts
+      : {
+          tests: this.results.failures.length + this.results.passes.length + this.results.skips.length,
+          passed: this.results.passes.length,
+          failed: this.results.failures.length,
+          skipped: this.results.skips.length
+        });
+
+    const summary = this.adapter.extractSummary(counts);
+
+    const enhancers = await createEnhancers({
+      outputDir: this.options.outputDir,
+      ...this.options.enhancements
+    });
+
+    // Enhance and log all failures and passes
+    await runEnhancementPipeline(enhancers, {
+      logger: this.logger,
+      failures: this.results.failures,
+      passes: this.results.passes,
+      skips: this.results.skips,
+      summary,
+      framework: 'node-test',
+      custom: this.options.enhancers
+    });
+
+    // Finalize and write reports
+    const metadata = await this.logger.finalize(summary);
+
+    // Cleanup
+    if (enhancers?.index) {
+      enhancers.index.close();
+    }
+
+    return `${formatReportSummary(this.logger, metadata)}\n`;
+  }
+}
+
+/**
+ * Create a `node --test` reporter (async generator over the event stream)
+ * @param {Object} [options] - Reporter options (outputDir, enhancements, ...)
+ * @returns {Function} Reporter for --test-reporter
+ */
+export function createNodeTestReporter(options = {}) {
+  return async function* compactReporter(source) {
+    const reporter = new NodeTestReporter(options);
+
+    for await (const event of source) {
+      reporter.onEvent(event);
+    }
+
+    // Reporter output goes to --test-reporter-destination, not the console
+    yield await reporter.onEnd();
+  };
+}
+
+export default createNodeTestReporter();
@@ -0,0 +1,371 @@
+/**
+ * Playwright Adapter
+ *
+ * Converts Playwright test results into the standardized format
+ * for CompactLogger. Can be used as a custom Playwright reporter.
+ *
+ * @usage
+ * // playwright.config.js
+ * export default {
+ *   reporter: [
+ *     ['list'],
+ *     ['llm-compact-logger/adapters/playwright', { outputDir: './debug' }]
+ *   ]
+ * }
+ */
+
+import { BaseAdapter } from './base-adapter.js';
+import { CompactLogger } from '../compact-logger.js';
+import { createEnhancers } from '../enhancements/index.js';
+import { runEnhancementPipeline, resolveEnhancementOptions } from '../enhancements/pipeline.js';
+import { getGitCommit, printReportSummary } from './reporter-utils.js';
+
+const FAILED_STATUSES = new Set(['failed', 'timedOut', 'interrupted']);
+
+// Color codes in expect() messages ("Expected: \u001b[32m5\u001b[39m")
+const ANSI_COLOR = /\u001b\[[0-9;]*m/g;
+
+/**
+ * Remove terminal color codes from a Playwright message or stack
+ * @param {string} [text] - Text to clean
+ * @returns {string|undefined} Text without color codes
+ */
+function stripAnsi(text) {
+  return typeof text === 'string' ? text.replace(ANSI_COLOR, '') : text;
+}
+
+export class PlaywrightAdapter extends BaseAdapter {
+  convertFailure(pwTest, pwResult) {
+    const error = pwResult.error || pwResult.errors?.[0] || {};
+    const others = (pwResult.errors || [])
+      .filter(other => other !== error && other.message !== error.message)
+      .map(other => ({ ...other, message: stripAnsi(other.message), stack: stripAnsi(other.stack) }));
+    const message = stripAnsi(error.message || error.value || '');
+
+    return {
+      name: this.getTestName(pwTest),
+      id: this.getTestId(pwTest),
+      location: {
+        file: pwTest.location?.file,
+        line: pwTest.location?.line
+      },
+      error: {
+        type: pwResult.status === 'timedOut' ? 'TimeoutError' : this.extractErrorType(message),
+        message,
+        expected: this.extractExpected(message),
+        actual: this.extractActual(message),
+        stack: stripAnsi(error.stack),
+        location: error.location,
+        cause: error.cause,
+        others
+      },
+      context: this.buildContext(pwTest, pwResult)
+    };
+  }
+
+  /**
+   * Convert a passed test; after retries it is a flaky pass
+   * @param {Object} pwTest - Playwright TestCase
+   * @param {Object} pwResult - Playwright TestResult
+   * @param {Array} [attempts] - Errors of the earlier, failed attempts
+   * @returns {Object} Standard pass object
+   */
+  convertPass(pwTest, pwResult, attempts = []) {
+    return {
+      name: this.getTestName(pwTest),
+      id: this.getTestId(pwTest),
+      location: {
+        file: pwTest.location?.file
+      },
+      duration: pwResult.duration || 0,
+      retries: pwResult.retry || 0,
+      attempts: attempts.map((error) => {
+        const message = stripAnsi(error.message || error.value || '');
+        return { name: this.extractErrorType(message), message, stack: stripAnsi(error.stack) };
+      })
+    };
+  }
+
+  /**
+   * Convert an error reported through onError. With a location it
+   * comes from loading a test file (`collect`).
+   * @param {Object} error - Playwright TestError
+   * @returns {Object} Standard failure object with `kind`
+   */
+  convertGlobalError(error) {
+    const message = stripAnsi(error.message || error.value || '');
+    const file = error.location?.file;
+
+    return {
+      name: file ? this.logger.extractFilename(file) : 'Global error',
+      kind: file ? 'collect' : 'unhandled',
+      location: {
+        file,
+        line: error.location?.line
+      },
+      error: {
+        type: this.extractErrorType(message),
+        message,
+        stack: stripAnsi(error.stack),
+        location: error.location,
+        cause: error.cause
+      }
+    };
+  }
+
+  /**
+   * Convert a skipped test; the reason comes from its skip/fixme annotation
+   * @param {Object} pwTest - Playwright TestCase
+   * @param {Object} pwResult - Playwright TestResult
+   * @returns {Object} Standard skip object
+   */
+  convertSkip(pwTest, pwResult) {
+    const annotations = [...(pwResult?.annotations || []), ...(pwTest.annotations || [])];
+    const annotation = annotations.find(a => a.type === 'skip' || a.type === 'fixme');
+
+    return {
+      name: this.getTestName(pwTest),
+      id: this.getTestId(pwTest),
+      location: {
+        file: pwTest.location?.file,
+        line: pwTest.location?.line
+      },
+      status: annotation?.type === 'fixme' ? 'todo' : 'skip',
+      reason: annotation?.description
+    };
+  }
+
+  extractSummary(results) {
+    const total = results.failures.length + results.passes.length + results.skips.length;
+
+    return {
+      tot: total,
+      pas: results.passes.length,
+      fai: results.failures.length,
+      ...(results.skips.length > 0 && { skp: results.skips.length }),
+      rate: total > 0 ? Math.round((results.passes.length / total) * 100) : 0
+    };
+  }
+
+  /**
+   * Classify a test result by its final status
+   * @param {Object} pwResult - Playwright TestResult
+   * @returns {string} 'fail', 'pass' or 'skip'
+   */
+  classify(pwResult) {
+    if (FAILED_STATUSES.has(pwResult.status)) return 'fail';
+    if (pwResult.status === 'passed') return 'pass';
+    return 'skip';
+  }
+
+  /**
+   * Build the test name from its describe path, without the
+   * root, project and file suites Playwright puts in front
+   * @param {Object} pwTest - Playwright TestCase
+   * @returns {string} Test name
+   */
+  getTestName(pwTest) {
+    const titles = pwTest.titlePath?.().slice(3).filter(Boolean) || [];
+    return titles.length > 0 ? titles.join(' > ') : pwTest.title;
+  }
+
+  /**
+   * Stable test ID (see BaseAdapter.buildTestId). The same test runs once
+   * per project, so the project is part of it: `... > logs in @chromium`.
+   * Playwright rejects duplicate titles, so no repeat index is needed.
+   * @param {Object} pwTest - Playwright TestCase
+   * @returns {string} Test ID
+   */
+  getTestId(pwTest) {
+    const titles = pwTest.titlePath?.().slice(3) || [pwTest.title];
+    const project = pwTest.parent?.project?.()?.name;
+    const id = this.buildTestId(pwTest.location?.file, titles);
+
+    return project ? `${id} @${project}` : id;
+  }
+
+  /**
+   * Compact Playwright-specific fields: project, retry, failed step, attachments
+   * @param {Object} pwTest - Playwright TestCase
+   * @param {Object} pwResult - Playwright TestResult
+   * @returns {Object} Context object
+   */
+  buildContext(pwTest, pwResult) {
+    const project = pwTest.parent?.project?.();
+    const context = {};
+
+    if (project?.name) {
+      context.prj = project.name;
+    }
+
+    const browser = project?.use?.browserName;
+    if (browser && browser !== project?.name) {
+      context.browser = browser;
+    }
+
+    if (pwResult.retry > 0) {
+      context.retry = pwResult.retry;
+    }
+
+    const step = this.findFailedStep(pwResult.steps || []);
+    if (step) {
+      context.step = step;
+    }
+
+    for (const attachment of pwResult.attachments || []) {
+      if (!attachment.path) continue;
+
+      if (attachment.name === 'trace') {
+        context.trace = attachment.path;
+      } else if (attachment.name === 'screenshot') {
+        context.shots = [...(context.shots || []), attachment.path];
+      }
+    }
+
+    return context;
+  }
+
+  /**
+   * Find the innermost failing step, as a path of step titles
+   * @param {Array} steps - Playwright TestStep list
+   * @returns {string|null} e.g. "Log in > locator.click(...)"
+   */
+  findFailedStep(steps) {
+    const failed = steps.find(step => step.error);
+    if (!failed) return null;
+
+    const inner = this.findFailedStep(failed.steps || []);
+    return inner ? `${failed.title} > ${inner}` : failed.title;
+  }
+
+  // Helper methods for parsing Playwright's formatted error messages
+  extractErrorType(message) {
+    const match = message.match(/^(\w*Error):/);
+    return match ? match[1] : 'Error';
+  }
+
+  extractExpected(message) {
+    const match = message.match(/Expected(?: \w+)?:\s*(.+)/);
+    return match ? match[1].trim() : undefined;
+  }
+
+  extractActual(message) {
+    const match = message.match(/Received(?: \w+)?:\s*(.+)/);
+    return match ? match[1].trim() : undefined;
+  }
+}
+
+/**
+ * Playwright Reporter - implements Playwright's reporter interface
+ */
+export class PlaywrightReporter {
+  constructor(options = {}) {
+    this.options = {
+      outputDir: '.',
+      ...options,
+      enhancements: resolveEnhancementOptions(options.enhancements),
+      // Custom enhancers ({ name, async, after, enhance })
+      enhancers: options.enhancers || []
+    };
+
+    this.logger = new CompactLogger({
+      outputDir: this.options.outputDir,
+      metadata: {
+        framework: 'playwright',
+        commit: getGitCommit()
+      },
+      ...this.options
+    });
+
+    this.adapter = new PlaywrightAdapter(this.logger);
+
+    // Latest attempt per test - onTestEnd fires once per retry
+    this.latest = new Map();
+    // Errors of the failed attempts per test, for flaky passes
+    this.failedAttempts = new Map();
+    this.errors = [];
+  }
+
+  /**
+   * Errors outside tests: a test file that failed to load, global setup
+   * @param {Object} error - Playwright TestError
+   */
+  onError(error) {
+    this.errors.push(error);
+  }
+
+  onTestBegin(test, result) {
+    this.logger.setRunningTest(this.adapter.convertPass(test, result));
+  }
+
+  onTestEnd(test, result) {
+    const key = test.id || test;
+    this.latest.set(key, { test, result });
+
+    // Recorded early for the stream file and crashSafe partial reports
+    const status = this.adapter.classify(result);
+    if (status === 'fail') {
+      const attempts = this.failedAttempts.get(key) || [];
+      attempts.push(result.error || result.errors?.[0] || {});
+      this.failedAttempts.set(key, attempts);
+      this.logger.streamFailure(this.adapter.convertFailure(test, result));
+    } else if (status === 'pass') {
+      this.logger.streamPass(this.adapter.convertPass(test, result, this.failedAttempts.get(key)));
+    } else {
+      this.logger.streamSkip(this.adapter.convertSkip(test, result));
+    }
+  }
+
+  async onEnd() {
+    const results = {
+      failures: [],
+      passes: [],
+      skips: [],
+      suiteFailures: this.errors.map(error => this.adapter.convertGlobalError(error))
+    };
+
+    for (const [key, { test, result }] of this.latest) {
+      const status = this.adapter.classify(result);
+
+      if (status === 'fail') {
+        results.failures.push(this.adapter.convertFailure(test, result));
+      } else if (status === 'pass') {
+        results.passes.push(this.adapter.convertPass(test, result, this.failedAttempts.get(key)));
+      } else {
+        results.skips.push(this.adapter.convertSkip(test, result));
+      }
+    }
+
+    const summary = this.adapter.extractSummary(results);
+
+    const enhancers = await createEnhancers({
+      outputDir: this.options.outputDir,
+      ...this.options.enhancements
+    });
+
+    // Enhance and log all failures and passes
+    await runEnhancementPipeline(enhancers, {
+      logger: this.logger,
+      failures: results.failures,
+      passes: results.passes,
+      skips: results.skips,
+      suiteFailures: results.suiteFailures,
+      summary,
+      framework: 'playwright',
+      custom: this.options.enhancers
+    });
+
+    // Finalize and write reports
+    const metadata = await this.logger.finalize(summary);
+
+    // Console output
+    printReportSummary(this.logger, metadata);
+
+    // Cleanup
+    if (enhancers?.index) {
+      enhancers.index.close();
+    }
+  }
+}
+
+export default PlaywrightReporter;
@@ -0,0 +1,75 @@
+/**
+ * Reporter Utilities
+ *
+ * Helpers shared by the framework reporters (git metadata, console output).
+ */
+
+import { execSync } from 'child_process';
+
+/**
+ * Get the short hash of the current git commit
+ * @returns {string} Commit hash, or 'local' outside a git checkout
+ */
+export function getGitCommit() {
+  try {
+    return execSync('git rev-parse --short HEAD', {
+      encoding: 'utf8',
+      stdio: ['pipe', 'pipe', 'ignore']
+    }).trim();
+  } catch {
+    return 'local';
+  }
+}
+
+/**
+ * Print where the reports were written plus a quick failure analysis
+ * @param {CompactLogger} logger - Logger that wrote the reports
+ * @param {Object} metadata - Result of logger.finalize()
+ */
+export function printReportSummary(logger, metadata) {
+  console.log(formatReportSummary(logger, metadata));
+}
+
+/**
+ * Format where the reports were written plus a quick failure analysis,
+ * for reporters that write to their own stream
+ * @param {CompactLogger} logger - Logger that wrote the reports
+ * @param {Object} metadata - Result of logger.finalize()
+ * @returns {string} Summary text
+ */
+export function formatReportSummary(logger, metadata) {
+  const lines = [
+    '\n📊 Debug Reports Generated:',
+    `   • ${metadata.fullPath}    (full, ~${metadata.fullTokens} tokens)`,
+    `   • ${metadata.compactPath}   (compact, ~${metadata.compactTokens} tokens)`
+  ];
+
+  if (metadata.changes) {
+    const { newFails, fixed, stillFailing, changedError } = metadata.changes;
+    lines.push(`\n🔁 Since last run: ${newFails} new, ${fixed} fixed, ${changedError} changed error, ${stillFailing} still failing`);
+  }
+
+  if (metadata.suiteFails > 0) {
+    lines.push(`\n⚠️  ${metadata.suiteFails} failure(s) outside tests (file load, hooks, unhandled errors)`);
+  }
+
+  if (metadata.flakyPasses > 0) {
+    lines.push(`\n🎲 ${metadata.flakyPasses} test(s) passed only on a retry (flaky)`);
+  }
+
+  if (metadata.failures > 0) {
+    const byFile = logger.groupByFile(logger.failures);
+    lines.push('\n🔍 Quick Analysis:');
+    lines.push(`   Most failing: ${logger.getMostFailingFile(byFile)}`);
+    lines.push(`   Common error: ${logger.getMostCommonError(logger.failures)}`);
+
+    // Show root cause summary if available
+    if (logger.metadata.rootCauses && logger.metadata.rootCauses.length > 0) {
+      const topCause = logger.metadata.rootCauses[0];
+      lines.push(`   Root cause: ${topCause.pattern} (${topCause.confidence * 100}% confidence)`);
+      lines.push(`   Suggestion: ${topCause.suggestion}`);
+    }
+  }
+
+  return lines.join('\n');
+}
@@ -15,57 +15,275 @@
  * }
  */
 
+import fs from 'fs';
+import path from 'path';
 import { BaseAdapter } from './base-adapter.js';
 import { CompactLogger } from '../compact-logger.js';
 import { createEnhancers } from '../enhancements/index.js';
+import { runEnhancementPipeline, resolveEnhancementOptions } from '../enhancements/pipeline.js';
+import { getGitCommit, printReportSummary } from './reporter-utils.js';
 
 export class VitestAdapter extends BaseAdapter {
+  constructor(logger) {
+    super(logger);
+    // Task id → console output (onUserConsoleLog)
+    this.consoleLogs = new Map();
+  }
+
+  /**
+   * Keep a console entry for its test; output outside a test is ignored
+   * @param {Object} log - Vitest UserConsoleLog ({ content, type, taskId })
+   */
+  recordConsoleLog(log) {
+    if (!log?.taskId) return;
+
+    if (!this.consoleLogs.has(log.taskId)) {
+      this.consoleLogs.set(log.taskId, []);
+    }
+    this.consoleLogs.get(log.taskId).push({ type: log.type, message: log.content });
+  }
+
+  /**
+   * Drop a test's console output (passing tests don't report it)
+   * @param {string} taskId - Vitest task id
+   */
+  discardConsoleLogs(taskId) {
+    this.consoleLogs.delete(taskId);
+  }
+
   convertFailure(vitestTask) {
     const result = vitestTask.result;
-    const error = result?.errors?.[0] || {};
+    const [error = {}, ...others] = result?.errors || [];
+    const file = vitestTask.file?.filepath || vitestTask.file;
 
     return {
       name: vitestTask.name,
+      id: this.getTestId(vitestTask),
       location: {
-        file: vitestTask.file?.filepath || vitestTask.file,
+        file,
         line: vitestTask.location?.line
       },
       error: {
-        type: error.name || 'Error',
-        message: error.message || '',
-        expected: error.expected,
-        actual: error.actual,
-        stack: error.stack
-      }
+        ...this.convertError(error, others),
+        snapshot: this.extractSnapshot(error, file)
+      },
+      logs: this.consoleLogs.get(vitestTask.id)
+        || vitestTask.logs?.map(log => ({ type: log.type, message: log.content }))
     };
   }
 
+  /**
+   * Convert a failure outside the tests: a file that failed to load
+   * (`collect`) or a suite/file whose hooks failed (`hook`)
+   * @param {Object} suite - Vitest file or suite task
+   * @param {string} filepath - Test file path
+   * @param {string} kind - 'collect' or 'hook'
+   * @returns {Object} Standard failure object with `kind`
+   */
+  convertSuiteFailure(suite, filepath, kind) {
+    const [error = {}, ...others] = suite.result?.errors || [];
+
+    return {
+      name: suite.name,
+      kind,
+      location: {
+        file: filepath,
+        line: suite.location?.line
+      },
+      error: this.convertError(error, others)
+    };
+  }
+
+  /**
+   * Convert one of the unhandled errors passed to onFinished
+   * @param {Object} error - Serialized error
+   * @returns {Object} Standard failure object with `kind`
+   */
+  convertUnhandledError(error = {}) {
+    // Vitest tags errors thrown while a test ran with its name and file
+    const during = error.VITEST_TEST_NAME ? ` during "${error.VITEST_TEST_NAME}"` : '';
+
+    return {
+      name: `${error.type || 'Unhandled error'}${during}`,
+      kind: 'unhandled',
+      location: {
+        file: error.VITEST_TEST_PATH
+      },
+      error: this.convertError(error)
+    };
+  }
+
+  convertError(error, others = []) {
+    // Vitest serializes a missing value as "undefined"; plain errors (hooks,
+    // throws) come with both, which carry nothing
+    const missing = value => value === undefined || value === 'undefined';
+    const hasValues = !missing(error.expected) || !missing(error.actual);
+
+    return {
+      type: error.name || 'Error',
+      message: error.message || '',
+      expected: hasValues ? error.expected : undefined,
+      actual: hasValues ? error.actual : undefined,
+      stack: error.stack,
+      cause: this.stripCausePrefix(error.cause),
+      errors: error.errors,
+      others: others.map(other => ({ ...other, cause: this.stripCausePrefix(other.cause) }))
+    };
+  }
+
+  /**
+   * Copy of a cause chain without the "Caused by: " Vitest's default
+   * reporter prepends to `cause.name` in place when it prints the error,
+   * which happens before onFinished hands the errors to us
+   * @param {*} cause - Error cause
+   * @param {Set} [seen] - Causes already copied (cyclic chains)
+   * @returns {*} Cause with clean names
+   */
+  stripCausePrefix(cause, seen = new Set()) {
+    if (!cause || typeof cause !== 'object' || seen.has(cause)) return cause;
+    seen.add(cause);
+
+    return {
+      ...cause,
+      name: typeof cause.name === 'string' ? cause.name.replace(/^(?:Caused by: )+/, '') : cause.name,
+      message: cause.message,
+      stack: cause.stack,
+      cause: this.stripCausePrefix(cause.cause, seen)
+    };
+  }
+
+  /**
+   * Snapshot details of a toMatchSnapshot/toMatchInlineSnapshot mismatch.
+   * Vitest throws "Snapshot `<key>` mismatched" with the serialized
+   * snapshots as `expected`/`actual`.
+   * @param {Object} error - Serialized error
+   * @param {string} file - Test file path
+   * @returns {Object|undefined} { key, file, inline, expected, actual }
+   */
+  extractSnapshot(error, file) {
+    const match = error.message?.match(/Snapshot `(.+?)` mismatched/);
+    if (!match) return undefined;
+
+    const inline = /InlineSnapshot/.test(error.stack || '');
+    const snapshotFile = this.snapshotPath(file, inline);
+
+    // A snapshot missing in CI (not written) arrives as the serialized "undefined"
+    const notWritten = error.expected === undefined
+      || (error.expected === 'undefined' && !this.hasStoredSnapshot(snapshotFile, match[1], inline));
+
+    return {
+      key: match[1],
+      file: snapshotFile,
+      inline,
+      expected: notWritten ? undefined : error.expected,
+      actual: error.actual
+    };
+  }
+
+  /**
+   * Whether a .snap file holds an entry for the key (a stored `undefined`
+   * serializes like a missing snapshot). Inline snapshots can't be looked
+   * up, so they count as missing.
+   * @param {string} snapshotFile - Snapshot file, relative to the working directory
+   * @param {string} key - Snapshot key
+   * @param {boolean} inline - Inline snapshot
+   * @returns {boolean}
+   */
+  hasStoredSnapshot(snapshotFile, key, inline) {
+    if (inline) return false;
+
+    try {
+      const escaped = key.replace(/[\\`]/g, '\\$&').replace(/\$\{/g, '\\${');
+      return fs.readFileSync(path.resolve(snapshotFile), 'utf8').includes(`exports[\`${escaped}\`]`);
+    } catch {
+      return false;
+    }
+  }
+
   convertPass(vitestTask) {
+    const result = vitestTask.result;
+
     return {
       name: vitestTask.name,
+      id: this.getTestId(vitestTask),
       location: {
         file: vitestTask.file?.filepath || vitestTask.file
       },
-      duration: vitestTask.result?.duration || 0
+      duration: result?.duration || 0,
+      // With `retry`, errors of the failed attempts stay in result.errors
+      retries: result?.retryCount || 0,
+      attempts: result?.retryCount > 0 ? result.errors : undefined
+    };
+  }
+
+  /**
+   * Convert a skipped or todo task
+   * @param {Object} vitestTask - Vitest task
+   * @returns {Object} Standard skip object
+   */
+  convertSkip(vitestTask) {
+    return {
+      name: vitestTask.name,
+      id: this.getTestId(vitestTask),
+      location: {
+        file: vitestTask.file?.filepath || vitestTask.file,
+        line: vitestTask.location?.line
+      },
+      status: vitestTask.mode === 'todo' || vitestTask.result?.state === 'todo' ? 'todo' : 'skip',
+      // ctx.skip('reason') - Vitest 3.1+
+      reason: vitestTask.result?.note
     };
   }
 
+  /**
+   * Stable test ID from the describe blocks up to the file task
+   * (see BaseAdapter.buildTestId)
+   * @param {Object} task - Vitest test task, linked to its parent by `suite`
+   * @returns {string} Test ID
+   */
+  getTestId(task) {
+    const titles = [task.name];
+    for (let suite = task.suite; suite && !suite.filepath; suite = suite.suite) {
+      titles.unshift(suite.name);
+    }
+
+    // `each` cases can share a name; tell them apart by position
+    const siblings = (task.suite || task.file)?.tasks || [];
+    const index = this.repeatIndex(siblings.map(sibling => sibling.name), siblings.findIndex(sibling => sibling.id === task.id));
+
+    return this.buildTestId(task.file?.filepath || task.file, titles, index);
+  }
+
+  /**
+   * Skipped: `skip`/`todo` state, or skip mode without a result
+   * @param {Object} task - Vitest task
+   * @returns {boolean} True if the task was skipped
+   */
+  isSkipped(task) {
+    const state = task.result?.state;
+    return state === 'skip' || state === 'todo'
+      || (!state && (task.mode === 'skip' || task.mode === 'todo'));
+  }
+
   extractSummary(files) {
     let total = 0;
     let passed = 0;
     let failed = 0;
+    let skipped = 0;
 
     for (const file of files) {
       const stats = this.countTests(file.tasks || []);
       total += stats.total;
       passed += stats.passed;
       failed += stats.failed;
+      skipped += stats.skipped;
     }
 
     return {
       tot: total,
       pas: passed,
       fai: failed,
+      ...(skipped > 0 && { skp: skipped }),
       rate: total > 0 ? Math.round((passed / total) * 100) : 0
     };
   }
@@ -77,6 +295,7 @@ export class VitestAdapter extends BaseAdapter {
     let total = 0;
     let passed = 0;
     let failed = 0;
+    let skipped = 0;
 
     for (const task of tasks) {
       if (task.type === 'suite' && task.tasks) {
@@ -84,24 +303,38 @@ export class VitestAdapter extends BaseAdapter {
         total += stats.total;
         passed += stats.passed;
         failed += stats.failed;
+        skipped += stats.skipped;
       } else if (task.type === 'test') {
         total++;
         if (task.result?.state === 'pass') passed++;
         if (task.result?.state === 'fail') failed++;
+        if (this.isSkipped(task)) skipped++;
       }
     }
 
-    return { total, passed, failed };
+    return { total, passed, failed, skipped };
   }
 
   /**
    * Process Vitest files and extract all results
+   * @param {Array} files - Vitest file tasks
+   * @param {Array} [errors] - Unhandled errors (onFinished)
+   * @returns {Object} { failures, passes, skips, suiteFailures }
    */
-  processFiles(files) {
-    const results = { failures: [], passes: [] };
+  processFiles(files, errors = []) {
+    const results = { failures: [], passes: [], skips: [], suiteFailures: [] };
 
     for (const file of files) {
-      this.extractFromTasks(file.tasks || [], file.filepath, results);
+      // File-level errors: nothing collected means the file didn't load
+      if (file.result?.errors?.length > 0) {
+        const kind = (file.tasks || []).length === 0 ? 'collect' : 'hook';
+        results.suiteFailures.push(this.convertSuiteFailure(file, file.filepath, kind));
+      }
+      this.extractFromTasks(file.tasks || [], file.filepath, results, file);
+    }
+
+    for (const error of errors) {
+      results.suiteFailures.push(this.convertUnhandledError(error));
     }
 
     return results;
@@ -109,23 +342,33 @@ export class VitestAdapter extends BaseAdapter {
 
   /**
    * Recursively extract test results from Vitest task tree
+   * @param {Array} tasks - Tasks of a file or suite
+   * @param {string} filepath - Test file path
+   * @param {Object} results - Results to add to
+   * @param {Object} [parent] - File or suite task holding `tasks`
    */
-  extractFromTasks(tasks, filepath, results) {
+  extractFromTasks(tasks, filepath, results, parent) {
     for (const task of tasks) {
       // Handle test suites (describe blocks)
       if (task.type === 'suite' && task.tasks) {
-        this.extractFromTasks(task.tasks, filepath, results);
+        // Suite errors come from its beforeAll/afterAll hooks
+        if (task.result?.errors?.length > 0) {
+          results.suiteFailures.push(this.convertSuiteFailure(task, filepath, 'hook'));
+        }
+        this.extractFromTasks(task.tasks, filepath, results, task);
         continue;
       }
 
       // Handle individual tests
       if (task.type === 'test') {
-        const taskWithFile = { ...task, file: filepath };
+        const taskWithFile = { ...task, file: filepath, suite: task.suite || parent };
 
         if (task.result?.state === 'fail') {
           results.failures.push(this.convertFailure(taskWithFile));
         } else if (task.result?.state === 'pass') {
           results.passes.push(this.convertPass(taskWithFile));
+        } else if (this.isSkipped(task)) {
+          results.skips.push(this.convertSkip(taskWithFile));
         }
       }
     }
@@ -138,31 +381,27 @@ export class VitestAdapter extends BaseAdapter {
 export class VitestReporter {
   constructor(options = {}) {
     this.options = {
-      outputDir: options.outputDir || '.',
+      outputDir: '.',
+      ...options,
       // Enhancement options
-      enhancements: {
-        codeContext: options.enhancements?.codeContext !== false, // Default enabled
-        stack: options.enhancements?.stack !== false, // Default enabled
-        diff: options.enhancements?.diff !== false, // Default enabled
-        rootCause: options.enhancements?.rootCause !== false, // Default enabled
-        coverage: options.enhancements?.coverage !== false, // Default enabled
-        links: options.enhancements?.links !== false, // Default enabled
-        persistentIndex: options.enhancements?.persistentIndex || { enabled: false }
-      },
-      ...options
+      enhancements: resolveEnhancementOptions(options.enhancements),
+      // Custom enhancers ({ name, async, after, enhance })
+      enhancers: options.enhancers || []
     };
     this.logger = null;
     this.adapter = null;
     this.enhancers = null;
   }
 
-  onInit() {
+  onInit(ctx) {
+    this.ctx = ctx;
+
     // Create logger and adapter when Vitest initializes
     this.logger = new CompactLogger({
       outputDir: this.options.outputDir,
       metadata: {
         framework: 'vitest',
-        commit: this.getGitCommit()
+        commit: getGitCommit()
       },
       ...this.options
     });
@@ -174,6 +413,40 @@ export class VitestReporter {
     this.enhancersPromise = null;
   }
 
+  /**
+   * Record each test result as it finishes, for the `stream` file and
+   * `crashSafe` partial reports
+   * @param {Array} packs - Vitest task result packs ([id, result, meta])
+   */
+  onTaskUpdate(packs = []) {
+    if (!this.logger || !this.ctx?.state) return;
+
+    for (const [id, result] of packs) {
+      const task = this.ctx.state.idMap.get(id);
+      if (task?.type !== 'test' || !result) continue;
+
+      const taskWithResult = { ...task, result };
+      if (result.state === 'fail') {
+        this.logger.streamFailure(this.adapter.convertFailure(taskWithResult));
+      } else if (result.state === 'pass') {
+        this.logger.streamPass(this.adapter.convertPass(taskWithResult));
+        this.adapter.discardConsoleLogs(id);
+      } else if (result.state === 'skip' || result.state === 'todo') {
+        this.logger.streamSkip(this.adapter.convertSkip(taskWithResult));
+      } else if (result.state === 'run') {
+        this.logger.setRunningTest(this.adapter.convertPass(taskWithResult));
+      }
+    }
+  }
+
+  /**
+   * Collect console output per test; failures report the last lines
+   * @param {Object} log - Vitest UserConsoleLog
+   */
+  onUserConsoleLog(log) {
+    this.adapter?.recordConsoleLog(log);
+  }
+
   /**
    * Load enhancers lazily (async operation)
    * @returns {Promise<Object>} Enhancers object
@@ -186,13 +459,7 @@ export class VitestReporter {
     if (!this.enhancersPromise) {
       this.enhancersPromise = createEnhancers({
         outputDir: this.options.outputDir,
-        codeContext: this.options.enhancements.codeContext,
-        stack: this.options.enhancements.stack,
-        diff: this.options.enhancements.diff,
-        rootCause: this.options.enhancements.rootCause,
-        coverage: this.options.enhancements.coverage,
-        links: this.options.enhancements.links,
-        persistentIndex: this.options.enhancements.persistentIndex
+        ...this.options.enhancements
       });
     }
 
@@ -207,139 +474,37 @@ export class VitestReporter {
     }
 
     // Process all test results
-    const results = this.adapter.processFiles(files);
+    const results = this.adapter.processFiles(files, errors);
+
+    // Extract summary
+    const summary = this.adapter.extractSummary(files);
 
     // Load enhancers (async, first time only)
     const enhancers = await this.loadEnhancers();
 
-    // Apply enhancements to failures
-    let enhancedFailures = results.failures;
-
-    if (enhancers && Object.keys(enhancers).length > 0) {
-      // 1. Inline code context (highest ROI)
-      if (enhancers.codeContext) {
-        enhancedFailures = enhancers.codeContext.enhanceAll(enhancedFailures);
-      }
-
-      // 2. Smart diff formatting
-      if (enhancers.diff) {
-        enhancedFailures = enhancers.diff.enhanceAll(enhancedFailures);
-      }
-
-      // 3. Enhanced stack traces
-      if (enhancers.stack) {
-        enhancedFailures = enhancers.stack.enhanceAll(enhancedFailures);
-      }
-
-      // 4. Coverage integration (async)
-      if (enhancers.coverage) {
-        enhancedFailures = await enhancers.coverage.enhanceAll(enhancedFailures);
-      }
-
-      // 5. Quick links
-      if (enhancers.links) {
-        enhancedFailures = await enhancers.links.enhanceAll(enhancedFailures, enhancers.index);
-      }
-
-      // 6. Root cause analysis (on all enhanced failures)
-      let rootCauses = null;
-      if (enhancers.rootCause && enhancedFailures.length > 0) {
-        rootCauses = enhancers.rootCause.analyze(enhancedFailures);
-      }
-
-      // 7. Persistent index tracking
-      if (enhancers.index) {
-        const summary = this.adapter.extractSummary(files);
-        const runId = await enhancers.index.recordTestRun(summary, {
-          framework: 'vitest',
-          dur: Date.now()
-        });
-
-        if (runId) {
-          // Record all results (passes and failures)
-          const allTests = [
-            ...enhancedFailures,
-            ...results.passes.map(p => ({ ...p, e: null }))
-          ];
-          await enhancers.index.recordTestResults(runId, allTests);
-
-          // Enhance failures with historical data
-          enhancedFailures = await Promise.all(
-            enhancedFailures.map(async (failure) => {
-              const history = await enhancers.index.getTestHistory(failure.t, 5);
-              const flaky = await enhancers.index.getFlakiness(failure.t);
-
-              if (history.length > 0 || flaky) {
-                return {
-                  ...failure,
-                  history: {
-                    lastPassed: history.find(h => h.status === 'pass')?.timestamp || null,
-                    failCount: history.filter(h => h.status === 'fail').length,
-                    totalRuns: history.length,
-                    flaky
-                  }
-                };
-              }
-              return failure;
-            })
-          );
-        }
-      }
-
-      // Add root cause analysis to logger metadata
-      if (rootCauses && rootCauses.length > 0) {
-        this.logger.metadata.rootCauses = rootCauses;
-      }
-    }
-
-    // Log all enhanced failures and passes
-    for (const failure of enhancedFailures) {
-      this.logger.logFailure(failure);
-    }
-
-    for (const pass of results.passes) {
-      this.logger.logPass(pass);
-    }
-
-    // Extract summary
-    const summary = this.adapter.extractSummary(files);
+    // Enhance and log all failures and passes
+    await runEnhancementPipeline(enhancers, {
+      logger: this.logger,
+      failures: results.failures,
+      passes: results.passes,
+      skips: results.skips,
+      suiteFailures: results.suiteFailures,
+      summary,
+      framework: 'vitest',
+      custom: this.options.enhancers
+    });
 
     // Finalize and write reports
     const metadata = await this.logger.finalize(summary);
 
     // Console output
-    console.log('\n📊 Debug Reports Generated:');
-    console.log(`   • ${metadata.fullPath}    (full, ~${metadata.fullTokens} tokens)`);
-    console.log(`   • ${metadata.compactPath}   (compact, ~${metadata.compactTokens} tokens)`);
-
-    if (metadata.failures > 0) {
-      const byFile = this.logger.groupByFile(this.logger.failures);
-      console.log('\n🔍 Quick Analysis:');
-      console.log(`   Most failing: ${this.logger.getMostFailingFile(byFile)}`);
-      console.log(`   Common error: ${this.logger.getMostCommonError(this.logger.failures)}`);
-
-      // Show root cause summary if available
-      if (this.logger.metadata.rootCauses && this.logger.metadata.rootCauses.length > 0) {
-        const topCause = this.logger.metadata.rootCauses[0];
-        console.log(`   Root cause: ${topCause.pattern} (${topCause.confidence * 100}% confidence)`);
-        console.log(`   Suggestion: ${topCause.suggestion}`);
-      }
-    }
+    printReportSummary(this.logger, metadata);
 
     // Cleanup
     if (enhancers?.index) {
       enhancers.index.close();
     }
   }
-
-  getGitCommit() {
-    try {
-      const { execSync } = require('child_process');
-      return execSync('git rev-parse --short HEAD', { encoding: 'utf8' }).trim();
-    } catch {
-      return 'local';
-    }
-  }
 }
 
 export default VitestReporter;
@@ -0,0 +1,474 @@
+/**
+ * Report Query CLI
+ *
+ * Reads the reports written by CompactLogger.finalize() and the
+ * PersistentIndex history database, and prints token-budgeted text
+ * for agents and developers (instead of hand-written jq).
+ *
+ * @usage
+ * llm-compact-logger summary --dir ./debug
+ * llm-compact-logger fails --file auth.test.js
+ * llm-compact-logger show "should validate email" --budget 400
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { PersistentIndex } from './enhancements/persistent-index.js';
+import { createTokenCounter } from './tokenizers/token-counter.js';
+import { expandErrors } from './error-interning.js';
+
+const DEFAULT_BUDGET = 800;
+
+// One character per past result in `show` (skip/todo: '-')
+const HISTORY_MARKS = { pass: '✓', flakyPass: '~', fail: '✗' };
+
+const USAGE = `Usage: llm-compact-logger <command> [options]
+
+Commands:
+  summary              Pass/fail counts, top errors and top root cause
+  fails [--file X]     One line per failure (hook/load errors first), optionally filtered by file
+  roots                Root cause groups with suggestions
+  flaky [--days N]     Tests that both passed and failed, or passed on a retry (needs history.db)
+  skipped [--days N]   Tests skipped in every run for N+ days (default: 7; report skips without history.db)
+  show <test name|id>  Full detail for one failing test
+
+Options:
+  --dir <path>         Directory holding the reports (default: .)
+  --report <path>      Report file to read (default: debug-report.json, then debug-compact.json)
+  --budget <tokens>    Max output size in tokens (default: ${DEFAULT_BUDGET})
+  --tokenizer <name>   Token counter: bpe or heuristic (default: bpe)
+  --help               Show this help`;
+
+/**
+ * Collects output lines until a token budget is used up
+ */
+export class TextBudget {
+  /**
+   * @param {number} [maxTokens] - Token budget
+   * @param {Object} [counter] - Token counter from createTokenCounter()
+   */
+  constructor(maxTokens = DEFAULT_BUDGET, counter = createTokenCounter()) {
+    this.maxTokens = maxTokens;
+    this.counter = counter;
+    this.lines = [];
+    this.used = 0;
+    this.dropped = 0;
+  }
+
+  /**
+   * Add a line if it fits in the remaining budget
+   * @param {string} line - Output line
+   * @returns {boolean} True if the line was added
+   */
+  push(line = '') {
+    const cost = this.estimateTokens(line);
+    if (this.dropped > 0 || this.used + cost > this.maxTokens) {
+      this.dropped++;
+      return false;
+    }
+
+    this.lines.push(line);
+    this.used += cost;
+    return true;
+  }
+
+  estimateTokens(text) {
+    return this.counter.count(`${text}\n`);
+  }
+
+  toString() {
+    const out = [...this.lines];
+    if (this.dropped > 0) {
+      out.push(`… ${this.dropped} more line(s) over budget (raise --budget)`);
+    }
+    return out.join('\n');
+  }
+}
+
+export class ReportCli {
+  constructor(options = {}) {
+    this.dir = options.dir || '.';
+    this.reportPath = options.report || null;
+    this.budget = options.budget || DEFAULT_BUDGET;
+    this.counter = createTokenCounter(options.tokenizer);
+  }
+
+  createBudget() {
+    return new TextBudget(this.budget, this.counter);
+  }
+
+  /**
+   * Load the full report, falling back to the compact one
+   * @returns {Object} Report
+   */
+  loadReport() {
+    const candidates = this.reportPath
+      ? [this.reportPath]
+      : [path.join(this.dir, 'debug-report.json'), path.join(this.dir, 'debug-compact.json')];
+
+    for (const file of candidates) {
+      if (fs.existsSync(file)) {
+        // Compact reports may have interned errors (internErrors option)
+        return expandErrors(JSON.parse(fs.readFileSync(file, 'utf8')));
+      }
+    }
+
+    throw new Error(`No report found (looked for ${candidates.join(', ')})`);
+  }
+
+  /**
+   * Open the history database read-only if one exists. Queries never
+   * change it, so a database from an older version is not migrated.
+   * @returns {Promise<PersistentIndex|null>} Index or null
+   * @throws {Error} If the database still has an older schema
+   */
+  async openIndex() {
+    const index = new PersistentIndex(this.dir, { readonly: true, trackGit: false });
+    if (!fs.existsSync(index.dbPath) || !(await index.initialize())) return null;
+
+    if (index.isOutdated()) {
+      index.close();
+      throw new Error(`${index.dbPath} was written by an older version; run the tests once to update it`);
+    }
+
+    return index;
+  }
+
+  summary() {
+    const report = this.loadReport();
+    const out = this.createBudget();
+    const { sum = {}, meta = {}, fails = [] } = report;
+
+    if (sum.tot !== undefined) {
+      out.push(`tests ${sum.tot} | pass ${sum.pas} | fail ${sum.fai}${sum.flk ? ` | flaky ${sum.flk}` : ''}${sum.skp ? ` | skip ${sum.skp}` : ''}${sum.sfa ? ` | outside tests ${sum.sfa}` : ''} | rate ${sum.rate}%`);
+    }
+    if (report.suiteFails?.length > 0) {
+      out.push(`outside tests: ${report.suiteFails.map(f => `[${f.k}] ${f.t} — ${f.e?.type}: ${f.e?.msg}`).join('; ')}`);
+    }
+    if (report.runtime?.length > 0) {
+      out.push(`runtime errors: ${sum.err} unique, ${sum.occ} total`);
+      for (const entry of report.runtime.slice(0, 3)) {
+        out.push(`  ×${entry.n} ${entry.e.type}: ${entry.e.msg} (last ${entry.last})`);
+      }
+    }
+    if (report.slow?.length > 0) {
+      const regressions = report.slow.filter(test => test.med);
+      out.push(`slowest: ${report.slow.slice(0, 3).map(test => `${test.t} ${test.d}ms`).join(', ')}`);
+      if (regressions.length > 0) {
+        out.push(`slower than usual: ${regressions.map(test => `${test.t} ${test.d}ms (median ${test.med}ms)`).join(', ')}`);
+      }
+    }
+    if (meta.ts) {
+      out.push(`run ${meta.ts}${meta.dur !== undefined ? ` (${meta.dur}ms)` : ''}${meta.commit ? ` @ ${meta.commit}` : ''}`);
+    }
+
+    if (report.changes) {
+      const { newFails, fixed, stillFailing, changedError } = report.changes;
+      out.push(`since last run: ${newFails.length} new, ${fixed.length} fixed, ${changedError.length} changed error, ${stillFailing.n} still failing`);
+    }
+
+    if (report.topFails?.length > 0) {
+      out.push(`errors: ${report.topFails.map(t => `${t.type} ×${t.count}`).join(', ')}`);
+    }
+
+    const byFile = this.groupByFile(fails);
+    if (byFile.length > 0) {
+      out.push(`files: ${byFile.map(([file, count]) => `${file} ×${count}`).join(', ')}`);
+    }
+
+    const topCause = meta.rootCauses?.[0];
+    if (topCause) {
+      out.push(`root cause: ${topCause.pattern} (${Math.round(topCause.confidence * 100)}%, ${topCause.count} tests)`);
+      out.push(`fix: ${topCause.suggestion}`);
+    }
+
+    return out.toString();
+  }
+
+  fails(flags = {}) {
+    const report = this.loadReport();
+    const out = this.createBudget();
+    const matches = (f) => !flags.file || f.f?.includes(flags.file);
+    const suiteFails = (report.suiteFails || []).filter(matches);
+    const fails = (report.fails || []).filter(matches);
+
+    if (fails.length === 0 && suiteFails.length === 0) {
+      out.push(flags.file ? `No failures in ${flags.file}` : 'No failures');
+      return out.toString();
+    }
+
+    // Outside tests first: they explain failures (or missing tests) below
+    for (const failure of suiteFails) {
+      out.push(`[${failure.k}] ${failure.f} ${failure.t} — ${failure.e?.type}: ${failure.e?.msg}`);
+    }
+    for (const failure of fails) {
+      out.push(`${failure.f} ${failure.t} — ${failure.e?.type}: ${failure.e?.msg}`);
+    }
+
+    return out.toString();
+  }
+
+  roots() {
+    const report = this.loadReport();
+    const out = this.createBudget();
+    const rootCauses = report.meta?.rootCauses || [];
+
+    if (rootCauses.length === 0) {
+      out.push('No root cause analysis in report (full report with rootCause enhancement needed)');
+      return out.toString();
+    }
+
+    for (const cause of rootCauses) {
+      out.push(`[${Math.round(cause.confidence * 100)}%] ${cause.pattern} — ${cause.count} test(s)`);
+      out.push(`  fix: ${cause.suggestion}`);
+      if (cause.suspectedFiles?.length > 0) {
+        out.push(`  files: ${cause.suspectedFiles.map(s => `${s.file} (${s.percentage}%)`).join(', ')}`);
+      }
+      out.push(`  tests: ${cause.affectedTests.slice(0, 5).join('; ')}${cause.affectedTests.length > 5 ? '; …' : ''}`);
+    }
+
+    return out.toString();
+  }
+
+  async flaky(flags = {}) {
+    const out = this.createBudget();
+    const index = await this.openIndex();
+
+    if (!index) {
+      // Fall back to flakiness recorded in the report: failures with a
+      // flaky history and tests that passed on a retry
+      const report = this.loadReport();
+      const fails = (report.fails || []).filter(f => f.history?.flaky?.isFlaky);
+      const flakyPasses = report.flakyPasses || [];
+      if (fails.length === 0 && flakyPasses.length === 0) {
+        out.push(`No history database in ${this.dir} and no flaky tests in report`);
+      }
+      for (const pass of flakyPasses) {
+        const error = pass.att?.[0];
+        out.push(`passed on retry ${pass.retry}  ${pass.t} (${pass.f})${error ? ` — ${error.type}: ${error.msg}` : ''}`);
+      }
+      for (const failure of fails) {
+        out.push(`${failure.history.flaky.passRate}% pass  ${failure.t} (${failure.f})`);
+      }
+      return out.toString();
+    }
+
+    const days = parseInt(flags.days) || 7;
+    const flaky = await index.getFlakyTests(days, 50);
+    index.close();
+
+    if (flaky.length === 0) {
+      out.push(`No flaky tests in the last ${days} day(s)`);
+    }
+    for (const test of flaky) {
+      const rate = Math.round((test.passes / test.total_runs) * 100);
+      const retried = test.flaky_passes > 0 ? `, ${test.flaky_passes} passed on retry` : '';
+      out.push(`${rate}% pass (${test.failures}/${test.total_runs} failed${retried})  ${test.test_name} (${test.file})`);
+    }
+
+    return out.toString();
+  }
+
+  async skipped(flags = {}) {
+    const out = this.createBudget();
+    const index = await this.openIndex();
+
+    if (!index) {
+      // Fall back to the skips of the last run
+      const skips = this.loadReport().skips || [];
+      if (skips.length === 0) {
+        out.push('No skipped tests in report');
+      }
+      for (const skip of skips) {
+        out.push(`${skip.s}  ${skip.t} (${skip.f})${skip.why ? ` — ${skip.why}` : ''}`);
+      }
+      return out.toString();
+    }
+
+    const days = parseInt(flags.days) || 7;
+    const skipped = await index.getSkippedTests(days, 50);
+    index.close();
+
+    if (skipped.length === 0) {
+      out.push(`No tests skipped for ${days}+ day(s)`);
+    }
+    for (const test of skipped) {
+      out.push(`since ${test.skipped_since.slice(0, 10)} (${test.runs} runs)  ${test.test_name} (${test.file})${test.reason ? ` — ${test.reason}` : ''}`);
+    }
+
+    return out.toString();
+  }
+
+  async show(name) {
+    if (!name) {
+      throw new Error('show requires a test name');
+    }
+
+    const report = this.loadReport();
+    const fails = [...(report.suiteFails || []), ...(report.fails || [])];
+    const failure = fails.find(f => f.id === name || f.t === name)
+      || fails.find(f => f.t?.includes(name) || f.id?.includes(name));
+    const out = this.createBudget();
+
+    if (!failure) {
+      out.push(`No failure matching "${name}"`);
+      return out.toString();
+    }
+
+    const e = failure.e || {};
+    out.push(`${failure.t}`);
+    if (failure.id) out.push(`id ${failure.id}`);
+    out.push(`at ${failure.f}`);
+    out.push(`${e.type}: ${e.msg}`);
+    for (const cause of e.cause || []) {
+      out.push(`  caused by ${cause.type}: ${cause.msg}${cause.at ? ` (${cause.at})` : ''}`);
+    }
+    for (const [label, list] of [['error', e.errs], ['also', e.more]]) {
+      for (const other of list || []) {
+        out.push(`  ${label} ${other.type}: ${other.msg}${other.at ? ` (${other.at})` : ''}`);
+      }
+    }
+    if (e.hint) out.push(`hint: ${e.hint}`);
+    if ('E' in e || 'R' in e) out.push(`expected ${e.E} | received ${e.R}`);
+    if ('expected' in e || 'actual' in e) {
+      out.push(`expected ${JSON.stringify(e.expected)} | actual ${JSON.stringify(e.actual)}`);
+    }
+    for (const line of e.diff?.lines || []) {
+      out.push(`  ${line}`);
+    }
+    for (const change of e.diff?.changes || []) {
+      out.push(`  ${change.kind} ${change.path}: ${JSON.stringify(change.expected)} → ${JSON.stringify(change.actual)}`);
+    }
+    if (e.diff?.omitted) out.push(`  … ${e.diff.omitted} more changes`);
+    if (failure.snap) {
+      out.push(`snapshot ${failure.snap.key ? `"${failure.snap.key}" in ` : ''}${failure.snap.file}`);
+      for (const line of failure.snap.diff || []) {
+        out.push(`  ${line}`);
+      }
+      out.push(`snapshot hint: ${failure.snap.hint}`);
+    }
+    if (failure.code?.fail) out.push(`> ${failure.code.fail}`);
+
+    if (Array.isArray(failure.stk)) {
+      for (const frame of failure.stk) {
+        out.push(`  ${frame.fn} ${frame.at}${frame.code ? `  ${frame.code}` : ''}`);
+      }
+    } else if (failure.stk) {
+      out.push(`  stack ${failure.stk}`);
+    }
+
+    for (const line of failure.log || []) {
+      out.push(`  log ${line}`);
+    }
+
+    let index = null;
+    try {
+      index = await this.openIndex();
+    } catch (error) {
+      out.push(`history: ${error.message}`);
+    }
+
+    if (index) {
+      // Same key the index records (CompactLogger.testKey)
+      const testId = failure.id || `${failure.f.replace(/:[^:]*$/, '')} > ${failure.t}`;
+      const history = await index.getTestHistory(testId, 10);
+      index.close();
+      if (history.length > 0) {
+        out.push(`history: ${history.map(h => HISTORY_MARKS[h.status] || '-').join('')} (newest first)`);
+      }
+    } else if (failure.history) {
+      out.push(`history: ${failure.history.failCount}/${failure.history.totalRuns} failed, last passed ${failure.history.lastPassed || 'never'}`);
+    }
+
+    return out.toString();
+  }
+
+  groupByFile(fails) {
+    const counts = {};
+    for (const failure of fails) {
+      const file = failure.f?.split(':')[0] || 'unknown';
+      counts[file] = (counts[file] || 0) + 1;
+    }
+    return Object.entries(counts).sort((a, b) => b[1] - a[1]).slice(0, 5);
+  }
+}
+
+/**
+ * Parse argv into command, positional args and --flags
+ * @param {Array<string>} argv - Arguments without node and script
+ * @returns {Object} { command, args, flags }
+ */
+export function parseArgs(argv) {
+  const args = [];
+  const flags = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg.startsWith('--')) {
+      const [key, inline] = arg.slice(2).split('=');
+      if (inline !== undefined) {
+        flags[key] = inline;
+      } else if (argv[i + 1] !== undefined && !argv[i + 1].startsWith('--')) {
+        flags[key] = argv[++i];
+      } else {
+        flags[key] = true;
+      }
+    } else {
+      args.push(arg);
+    }
+  }
+
+  return { command: args.shift(), args, flags };
+}
+
+/**
+ * Run the CLI
+ * @param {Array<string>} argv - Arguments without node and script
+ * @returns {Promise<number>} Exit code
+ */
+export async function runCli(argv = process.argv.slice(2)) {
+  const { command, args, flags } = parseArgs(argv);
+
+  if (!command || flags.help || command === 'help') {
+    console.log(USAGE);
+    return command || flags.help ? 0 : 1;
+  }
+
+  const cli = new ReportCli({
+    dir: flags.dir,
+    report: flags.report,
+    budget: parseInt(flags.budget) || DEFAULT_BUDGET,
+    tokenizer: flags.tokenizer
+  });
+
+  try {
+    switch (command) {
+      case 'summary':
+        console.log(cli.summary());
+        return 0;
+      case 'fails':
+        console.log(cli.fails(flags));
+        return 0;
+      case 'roots':
+        console.log(cli.roots());
+        return 0;
+      case 'flaky':
+        console.log(await cli.flaky(flags));
+        return 0;
+      case 'skipped':
+        console.log(await cli.skipped(flags));
+        return 0;
+      case 'show':
+        console.log(await cli.show(args.join(' ')));
+        return 0;
+      default:
+        console.error(`Unknown command: ${command}\n\n${USAGE}`);
+        return 1;
+    }
+  } catch (error) {
+    console.error(`llm-compact-logger: ${error.message}`);
+    return 1;
+  }
+}
+
+export default runCli;
@@ -14,6 +14,95 @@
  * await logger.finalize();
  */
 
+import fs from 'fs';
+import path from 'path';
+import { shortErrorHash } from './error-hash.js';
+import { FAILURE_LISTS, internErrors } from './error-interning.js';
+import { createTokenCounter } from './tokenizers/token-counter.js';
+import { REPORT_FORMATS, encodeReport } from './report-formats.js';
+import { compactSnapshot } from './snapshot-diff.js';
+
+// Keys of the standard failure shape; anything else was added by an enhancer
+const STANDARD_FAILURE_KEYS = new Set(['name', 'id', 'location', 'error', 'context', 'logs', 'kind', 'e', 'stk']);
+
+// A duration regression must also be at least this much slower than the median
+const MIN_REGRESSION_MS = 100;
+
+// Console output types written without a prefix in `log`
+const PLAIN_LOG_TYPES = new Set(['log', 'stdout']);
+
+/**
+ * Trimming steps for maxTokens, in priority order (first dropped first).
+ * Each step mutates the report and returns true if it removed anything.
+ */
+const TRIM_STEPS = [
+  { name: 'skips', apply: (report) => (report.skips ? delete report.skips : false) },
+  { name: 'slow', apply: (report) => (report.slow ? delete report.slow : false) },
+  { name: 'flakyPasses', apply: (report) => (report.flakyPasses ? delete report.flakyPasses : false) },
+  { name: 'coverage', apply: (report) => dropField(report, (f) => f.coverage, (f) => delete f.coverage) },
+  { name: 'links', apply: (report) => dropField(report, (f) => f.links, (f) => delete f.links) },
+  { name: 'code.ctx', apply: (report) => dropField(report, (f) => f.code?.ctx, (f) => delete f.code.ctx) },
+  { name: 'snap.diff', apply: (report) => dropField(report, (f) => f.snap?.diff, (f) => delete f.snap.diff) },
+  { name: 'e.diff.lines', apply: (report) => dropField(report, (f) => f.e?.diff?.lines, (f) => delete f.e.diff.lines) },
+  { name: 'log', apply: (report) => dropField(report, (f) => f.log, (f) => delete f.log) },
+  { name: 'rootCauseGroups', apply: (report, logger) => logger.collapseRootCauseGroups(report) },
+  { name: 'history', apply: (report) => dropField(report, (f) => f.history, (f) => delete f.history) },
+  { name: 'stk', apply: (report) => dropField(report, (f) => f.stk, (f) => delete f.stk) }
+];
+
+/**
+ * Write a file via a temp file + rename, so readers never see it half-written
+ * @param {string} file - Destination
+ * @param {string} content - File contents
+ */
+async function writeFileAtomic(file, content) {
+  const temp = tempPath(file);
+  await fs.promises.writeFile(temp, content);
+  await fs.promises.rename(temp, file);
+}
+
+function writeFileAtomicSync(file, content) {
+  const temp = tempPath(file);
+  fs.writeFileSync(temp, content);
+  fs.renameSync(temp, file);
+}
+
+// Unique per write, so overlapping writes (rolling flush + finalize) don't collide
+let tempCounter = 0;
+function tempPath(file) {
+  return `${file}.${process.pid}.${++tempCounter}.tmp`;
+}
+
+function dropField(report, has, drop) {
+  let dropped = false;
+  for (const key of FAILURE_LISTS) {
+    for (const failure of report[key] || []) {
+      if (has(failure)) {
+        drop(failure);
+        dropped = true;
+      }
+    }
+  }
+  return dropped;
+}
+
+/**
+ * Node's `--unhandled-rejections` mode; the command line wins over NODE_OPTIONS
+ * @returns {string} 'throw' (default), 'strict', 'warn', 'warn-with-error-code' or 'none'
+ */
+function unhandledRejectionsMode() {
+  const args = [...(process.env.NODE_OPTIONS || '').split(/\s+/), ...process.execArgv];
+  let mode = 'throw';
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith('--unhandled-rejections=')) {
+      mode = args[i].slice('--unhandled-rejections='.length);
+    } else if (args[i] === '--unhandled-rejections' && args[i + 1]) {
+      mode = args[++i];
+    }
+  }
+  return mode;
+}
+
 export class CompactLogger {
   constructor(options = {}) {
     this.options = {
@@ -22,16 +111,58 @@ export class CompactLogger {
       fullFilename: options.fullFilename || 'debug-report.json',
       metadata: options.metadata || {},
       maxMessageLength: options.maxMessageLength || 200,
+      compareWithPrevious: options.compareWithPrevious || false,
+      maxTokens: options.maxTokens || null,
+      tokenCounter: options.tokenCounter || 'bpe',
+      formats: options.formats || ['json'],
+      stream: options.stream || false,
+      streamFilename: options.streamFilename || 'debug-stream.ndjson',
+      crashSafe: options.crashSafe || false,
+      captureProcessErrors: options.captureProcessErrors || false,
+      flushInterval: options.flushInterval || null,
+      maxRuntimeErrors: options.maxRuntimeErrors || 200,
+      internErrors: options.internErrors || false,
+      maxCauses: options.maxCauses || 5,
+      maxLogLines: options.maxLogLines || 10,
+      maxDiffLines: options.maxDiffLines || 20,
+      slowTests: options.slowTests || 0,
+      slowThreshold: options.slowThreshold ?? 1000,
+      slowRegression: options.slowRegression || 2,
       ...options
     };
 
     this.failures = [];
     this.passes = [];
+    this.skips = [];
+    this.suiteFails = [];
+    this.baseline = null;
+    this.durationMedians = null;
+    this.streamFd = null;
+    this.early = new Map();
+    this.running = null;
+    this.finalized = false;
+    this.partialWritten = false;
+    this.crashHandlers = null;
+    this.runtimeErrors = new Map();
+    this.runtimeDropped = 0;
+    this.errorHooks = null;
+    this.flushTimer = null;
+    this.flushing = null;
+    this.dirty = false;
     this.startTime = Date.now();
     this.metadata = {
       ts: new Date().toISOString(),
       ...this.options.metadata
     };
+
+    // Before the crash handlers, so a partial report includes the error
+    if (this.options.captureProcessErrors) {
+      this.installErrorHooks();
+    }
+
+    if (this.options.crashSafe) {
+      this.installCrashHandlers();
+    }
   }
 
   /**
@@ -47,24 +178,66 @@ export class CompactLogger {
    * @param {*} [failure.error.expected] - Expected value
    * @param {*} [failure.error.actual] - Actual value
    * @param {string} [failure.error.stack] - Stack trace
+   * @param {Object} [failure.error.location] - Where the error was thrown
+   * @param {*} [failure.error.cause] - Wrapped error (followed as a chain)
+   * @param {Array} [failure.error.errors] - AggregateError members
+   * @param {Array} [failure.error.others] - Further errors reported for the same test
+   * @param {Array} [failure.logs] - Console output of the test ([{ type, message }])
    */
   logFailure(failure) {
+    const compact = this.compactFailure(failure);
+    this.failures.push(compact);
+
+    if (this.options.stream && !this.early.has(this.streamKey(failure))) {
+      this.writeStream({ s: 'fail', ...compact });
+    }
+  }
+
+  /**
+   * Convert a standard failure into a compact record
+   * @param {Object} failure - Standardized failure object (see logFailure)
+   * @returns {Object} Compact failure
+   */
+  compactFailure(failure) {
     const file = this.extractFilename(failure.location?.file);
     const line = failure.location?.line || '?';
 
     const compact = {
       t: failure.name,                                  // test/check name
+      ...(failure.id && { id: failure.id }),           // stable test ID
       f: `${file}:${line}`,                            // file:line
       e: {                                             // error
         type: failure.error?.type || 'Error',
         msg: this.compactMessage(failure.error?.message || 'Unknown error'),
-        E: this.compactValue(failure.error?.expected), // Expected
-        R: this.compactValue(failure.error?.actual)    // Received
+        ...((failure.error?.expected !== undefined || failure.error?.actual !== undefined) && {
+          E: this.compactValue(failure.error.expected), // Expected
+          R: this.compactValue(failure.error.actual)    // Received
+        }),
+        ...this.compactRelatedErrors(failure.error)    // cause, errs, more
       }
     };
 
-    // Add stack trace if available
-    const stack = this.extractRelevantStack(failure.error?.stack, file);
+    // Smart diff replaces E/R with structured actual/expected plus hints
+    if (failure.e) {
+      const { type, msg, ...diff } = failure.e;
+      if ('actual' in diff || 'expected' in diff) {
+        delete compact.e.E;
+        delete compact.e.R;
+      }
+      Object.assign(compact.e, diff);
+    }
+
+    // Snapshot mismatch: the changed hunks replace the serialized E/R
+    if (failure.error?.snapshot) {
+      delete compact.e.E;
+      delete compact.e.R;
+      compact.snap = compactSnapshot(failure.error.snapshot, { maxLines: this.options.maxDiffLines });
+    }
+
+    // Add stack trace if available (enhanced frames win over line:col)
+    const stack = Array.isArray(failure.stk)
+      ? failure.stk
+      : this.extractRelevantStack(failure.error?.stack, file);
     if (stack) {
       compact.stk = stack;
     }
@@ -74,7 +247,22 @@ export class CompactLogger {
       compact.ctx = failure.context;
     }
 
-    this.failures.push(compact);
+    // Console output just before the failure
+    if (failure.logs?.length > 0) {
+      const log = this.compactLogs(failure.logs);
+      if (log.length > 0) {
+        compact.log = log;
+      }
+    }
+
+    // Carry over fields added by enhancers (code, links, coverage, ...)
+    for (const [key, value] of Object.entries(failure)) {
+      if (!STANDARD_FAILURE_KEYS.has(key) && value !== undefined) {
+        compact[key] = value;
+      }
+    }
+
+    return compact;
   }
 
   /**
@@ -83,13 +271,246 @@ export class CompactLogger {
    * @param {string} pass.name - Test/check name
    * @param {Object} pass.location - Location info
    * @param {number} [pass.duration] - Duration in ms
+   * @param {number} [pass.retries] - Failed attempts before it passed (recorded as `flakyPass`)
+   * @param {Array} [pass.attempts] - Errors of the failed attempts
    */
   logPass(pass) {
-    this.passes.push({
+    const compact = this.compactPass(pass);
+    this.passes.push(compact);
+
+    if (this.options.stream && !this.early.has(this.streamKey(pass))) {
+      this.writeStream({ s: 'pass', ...compact });
+    }
+  }
+
+  /**
+   * Last `maxLogLines` console lines of a test. Repeated lines are kept
+   * once at their last position with a "×N" count; non-log output is
+   * prefixed with its type (e.g. "warn: ...")
+   * @param {Array} logs - Console entries in order ([{ type, message }] or strings)
+   * @returns {Array<string>} Lines
+   */
+  compactLogs(logs) {
+    // Insertion order is the last occurrence of each line
+    const counts = new Map();
+
+    for (const entry of logs) {
+      const { type, message } = typeof entry === 'string' ? { message: entry } : entry;
+      const prefix = type && !PLAIN_LOG_TYPES.has(type) ? `${type}: ` : '';
+
+      for (const line of String(message ?? '').split('\n')) {
+        const compact = this.compactMessage(line.trim());
+        if (!compact) continue;
+
+        const text = prefix + compact;
+        const count = (counts.get(text) || 0) + 1;
+        counts.delete(text);
+        counts.set(text, count);
+      }
+    }
+
+    return [...counts]
+      .slice(-this.options.maxLogLines)
+      .map(([text, count]) => (count > 1 ? `${text} ×${count}` : text));
+  }
+
+  compactPass(pass) {
+    const compact = {
       t: pass.name,
+      ...(pass.id && { id: pass.id }),
       f: this.extractFilename(pass.location?.file),
       d: pass.duration || 0
-    });
+    };
+
+    // Passed on a retry: flaky within this run
+    if (pass.retries > 0) {
+      compact.s = 'flakyPass';
+      compact.retry = pass.retries;
+      if (pass.attempts?.length > 0) {
+        compact.att = pass.attempts.map(error => this.compactErrorLink(error));
+      }
+    }
+
+    return compact;
+  }
+
+  /**
+   * Log a failure outside any single test: a test file that failed to
+   * load (`collect`), a failing hook such as beforeAll (`hook`) or an
+   * error the framework caught outside the tests (`unhandled`).
+   * Counted in `sum.sfa`, listed in `suiteFails`.
+   * @param {Object} failure - Standardized failure object (see logFailure)
+   * @param {string} failure.kind - 'collect', 'hook' or 'unhandled'
+   */
+  logSuiteFailure(failure) {
+    const { t, id, f, ...rest } = this.compactFailure(failure);
+    const compact = { t, ...(id && { id }), f, k: failure.kind || 'unhandled', ...rest };
+    this.suiteFails.push(compact);
+
+    if (this.options.stream) {
+      this.writeStream({ s: 'suite', ...compact });
+    }
+  }
+
+  /**
+   * Log a skipped or todo test
+   * @param {Object} skip - Skip info
+   * @param {string} skip.name - Test name
+   * @param {Object} skip.location - Location info
+   * @param {string} [skip.status] - 'skip' (default) or 'todo'
+   * @param {string} [skip.reason] - Why it was skipped, if the framework says
+   */
+  logSkip(skip) {
+    const compact = this.compactSkip(skip);
+    this.skips.push(compact);
+
+    if (this.options.stream && !this.early.has(this.streamKey(skip))) {
+      this.writeStream(compact);
+    }
+  }
+
+  compactSkip(skip) {
+    return {
+      t: skip.name,
+      ...(skip.id && { id: skip.id }),
+      f: this.extractFilename(skip.location?.file),
+      s: skip.status === 'todo' ? 'todo' : 'skip',
+      ...(skip.reason && { why: this.compactMessage(String(skip.reason)) })
+    };
+  }
+
+  /**
+   * Record a failure as soon as it happens, before the end-of-run
+   * enhancements. It is appended to the stream (`stream`) and included
+   * in partial reports (`crashSafe`); logFailure() won't stream it again.
+   * @param {Object} failure - Standardized failure object
+   */
+  streamFailure(failure) {
+    this.recordEarly(failure, { s: 'fail', ...this.compactFailure(failure) });
+  }
+
+  /**
+   * Record a pass as soon as it happens (see streamFailure)
+   * @param {Object} pass - Success info
+   */
+  streamPass(pass) {
+    this.recordEarly(pass, { s: 'pass', ...this.compactPass(pass) });
+  }
+
+  /**
+   * Record a skipped test as soon as it is reported (see streamFailure)
+   * @param {Object} skip - Skip info
+   */
+  streamSkip(skip) {
+    this.recordEarly(skip, this.compactSkip(skip));
+  }
+
+  recordEarly(result, record) {
+    const key = this.streamKey(result);
+    this.early.set(key, record);
+
+    if (this.running && this.testKey(this.running) === key) {
+      this.running = null;
+    }
+
+    if (this.options.stream) {
+      this.writeStream(record);
+    }
+  }
+
+  streamKey(result) {
+    return result.id || `${this.extractFilename(result.location?.file)} > ${result.name}`;
+  }
+
+  /**
+   * Key identifying a compact record's test across results and runs:
+   * its stable ID, else file and name
+   * @param {Object} record - Compact failure, pass or skip
+   * @returns {string} Key
+   */
+  testKey(record) {
+    return record.id || `${(record.f || 'unknown').replace(/:[^:]*$/, '')} > ${record.t}`;
+  }
+
+  /**
+   * Append one record to the NDJSON stream. The file is truncated and
+   * started with a `start` record on first write. Writes are synchronous
+   * so every line is on disk even if the process dies right after.
+   * @param {Object} record - Record with an `s` (status) field
+   */
+  writeStream(record) {
+    try {
+      if (this.streamFd === null) {
+        fs.mkdirSync(this.options.outputDir, { recursive: true });
+        this.streamFd = fs.openSync(this.getStreamPath(), 'w');
+        fs.writeSync(this.streamFd, JSON.stringify({ s: 'start', ...this.metadata }) + '\n');
+      }
+      fs.writeSync(this.streamFd, JSON.stringify(record) + '\n');
+    } catch (error) {
+      console.warn(`CompactLogger: Failed to write stream: ${error.message}`);
+    }
+  }
+
+  closeStream() {
+    if (this.streamFd !== null) {
+      fs.closeSync(this.streamFd);
+      this.streamFd = null;
+    }
+  }
+
+  getStreamPath() {
+    return path.join(this.options.outputDir, this.options.streamFilename);
+  }
+
+  /**
+   * Count results in the stream (the last record per test wins)
+   * @returns {Object|null} { tot, pas, fai, rate } or null without a stream
+   */
+  summarizeStream() {
+    let content;
+    try {
+      content = fs.readFileSync(this.getStreamPath(), 'utf8');
+    } catch {
+      return null;
+    }
+
+    const status = new Map();
+    for (const line of content.split('\n')) {
+      if (!line) continue;
+      try {
+        const record = JSON.parse(line);
+        if (['pass', 'flakyPass', 'fail', 'skip', 'todo'].includes(record.s)) {
+          status.set(this.testKey(record), record.s);
+        }
+      } catch {
+        // Partial last line of an interrupted write
+      }
+    }
+
+    const statuses = [...status.values()];
+    return this.summarize(
+      statuses.filter(s => s === 'fail').length,
+      statuses.filter(s => s === 'pass' || s === 'flakyPass').length,
+      statuses.filter(s => s === 'skip' || s === 'todo').length
+    );
+  }
+
+  /**
+   * Set the previous run's failures to compare against (compareWithPrevious).
+   * Takes precedence over reading the previous report from disk.
+   * @param {Array} failures - Previous failures ({ t, id, e: { type, msg } })
+   */
+  setBaseline(failures) {
+    this.baseline = failures;
+  }
+
+  /**
+   * Set each test's historical median duration, to report tests that
+   * got much slower in this run (see findSlowTests)
+   * @param {Map} medians - Test key (testKey) → median duration in ms
+   */
+  setDurationMedians(medians) {
+    this.durationMedians = medians;
   }
 
   /**
@@ -100,81 +521,836 @@ export class CompactLogger {
   async finalize(summary = null) {
     const duration = Date.now() - this.startTime;
 
-    // Calculate summary
-    const totalTests = this.failures.length + this.passes.length;
-    const sum = summary || {
-      tot: totalTests,
-      pas: this.passes.length,
-      fai: this.failures.length,
-      rate: totalTests > 0 ? Math.round((this.passes.length / totalTests) * 100) : 0
+    // Reports are written normally from here on
+    this.finalized = true;
+    this.removeCrashHandlers();
+    this.removeErrorHooks();
+    clearInterval(this.flushTimer);
+    this.flushTimer = null;
+    await this.flushing;
+
+    if (this.options.stream) {
+      this.writeStream({ s: 'end', dur: duration });
+      this.closeStream();
+    }
+
+    // Calculate summary (from the stream when streaming, it also holds
+    // results that were only streamed)
+    const sum = summary
+      || (this.options.stream && this.summarizeStream())
+      || this.summarize(this.failures.length, this.passes.length, this.skips.length);
+
+    const { fullPath } = this.getReportPaths();
+
+    // Compare with the previous run before its report is overwritten
+    let changes = null;
+    if (this.options.compareWithPrevious) {
+      const baseline = this.baseline || await this.loadPreviousFailures(fullPath);
+      changes = this.compareWithBaseline(baseline || []);
+    }
+
+    const reports = this.buildReports({
+      meta: { ...this.metadata, dur: duration },
+      sum,
+      failures: this.failures,
+      passes: this.passes,
+      skips: this.skips,
+      suiteFails: this.suiteFails,
+      changes
+    });
+
+    await this.writeReports(reports);
+
+    const primary = reports.formats[reports.selected[0]];
+
+    return {
+      fullPath,
+      compactPath: primary.path,
+      // Counted on the file contents as written
+      fullTokens: this.estimateTokens(reports.fullJson),
+      compactTokens: primary.tokens,
+      tokenCounter: this.getTokenCounter().name,
+      formats: reports.formats,
+      failures: this.failures.length,
+      passes: this.passes.length,
+      flakyPasses: this.passes.filter(pass => pass.s === 'flakyPass').length,
+      skips: this.skips.length,
+      suiteFails: this.suiteFails.length,
+      ...(reports.compactReport.trim && { trim: reports.compactReport.trim }),
+      ...(changes && {
+        changes: {
+          newFails: changes.newFails.length,
+          fixed: changes.fixed.length,
+          stillFailing: changes.stillFailing.n,
+          changedError: changes.changedError.length
+        }
+      })
     };
+  }
+
+  /**
+   * Build the full and compact reports and encode them
+   * @param {Object} data - Report data
+   * @param {Object} data.meta - Report metadata
+   * @param {Object} data.sum - Summary
+   * @param {Array} data.failures - Compact failures
+   * @param {Array} [data.passes] - Compact passes (those passed on a retry are listed)
+   * @param {Array} [data.skips] - Compact skipped/todo tests
+   * @param {Array} [data.suiteFails] - Compact suite/file-level failures
+   * @param {Object|null} [data.changes] - compareWithPrevious result
+   * @returns {Object} { fullJson, compactReport, formats, contents, selected }
+   */
+  buildReports({ meta, sum, failures, passes = [], skips = [], suiteFails = [], changes = null }) {
+    const { compactPath } = this.getReportPaths();
+
+    // Runtime errors (logError) - test counts only when tests were logged
+    const runtime = [...this.runtimeErrors.values()];
+    if (runtime.length > 0) {
+      sum = {
+        ...(sum.tot > 0 && sum),
+        err: runtime.length,
+        occ: runtime.reduce((total, entry) => total + entry.n, 0),
+        ...(this.runtimeDropped > 0 && { drop: this.runtimeDropped })
+      };
+    }
+
+    // Suite/file-level failures fail the run without failing a test
+    if (suiteFails.length > 0) {
+      sum = { ...sum, sfa: suiteFails.length };
+    }
+
+    // Tests that passed on a retry count as passes, but are flaky
+    const flakyPasses = passes.filter(pass => pass.s === 'flakyPass');
+    if (flakyPasses.length > 0) {
+      sum = { ...sum, flk: flakyPasses.length };
+    }
+
+    const slow = this.findSlowTests(passes);
 
     // Group failures by file
-    const byFile = this.groupByFile(this.failures);
+    const byFile = this.groupByFile(failures);
 
     // Find top failing error types
-    const topFails = this.getTopErrorTypes(this.failures);
+    const topFails = this.getTopErrorTypes(failures);
 
     // Build full report
     const fullReport = {
-      meta: {
-        ...this.metadata,
-        dur: duration
-      },
+      meta,
       sum,
-      fails: this.failures,
+      ...(changes && { changes }),
+      ...(suiteFails.length > 0 && { suiteFails }),
+      fails: failures,
+      ...(flakyPasses.length > 0 && { flakyPasses }),
+      ...(slow.length > 0 && { slow }),
+      ...(skips.length > 0 && { skips }),
+      ...(runtime.length > 0 && { runtime }),
       byFile,
       topFails,
       legend: {
         t: 'test name',
+        ...([...suiteFails, ...failures, ...skips].some(result => result.id) && {
+          id: 'test ID (file > describe path > name [repeat index])'
+        }),
         f: 'file:line',
         e: 'error',
         E: 'expected',
         R: 'received',
         stk: 'stack',
         ctx: 'context',
+        ...(failures.some(failure => failure.log) && { log: 'console output (last lines)' }),
+        ...(failures.some(failure => failure.snap) && {
+          snap: 'snapshot mismatch: key, file, changed hunks (diff) and a hint'
+        }),
         dur: 'duration (ms)',
+        ...([...suiteFails, ...failures].some(failure => failure.e?.cause || failure.e?.errs || failure.e?.more) && {
+          cause: 'cause chain (outer → innermost)',
+          errs: 'AggregateError members',
+          more: 'other errors for the same test',
+          at: 'top frame'
+        }),
         tot: 'total tests',
         pas: 'passed',
-        fai: 'failed'
+        fai: 'failed',
+        ...(suiteFails.length > 0 && {
+          sfa: 'suite/file-level failures',
+          k: 'collect (file failed to load), hook or unhandled'
+        }),
+        ...(flakyPasses.length > 0 && {
+          flk: 'passed on a retry',
+          retry: 'failed attempts before passing',
+          att: 'errors of the failed attempts'
+        }),
+        ...(slow.length > 0 && {
+          slow: 'passing tests over slowThreshold, duration regressions (and the slowTests slowest, if set)',
+          d: 'duration (ms)',
+          ...(slow.some(test => test.med) && { med: 'historical median duration (ms), set on regressions' })
+        }),
+        ...(skips.length > 0 && {
+          skp: 'skipped + todo',
+          s: 'skip or todo',
+          why: 'skip reason'
+        }),
+        ...(runtime.length > 0 && {
+          err: 'unique runtime errors',
+          occ: 'runtime error occurrences',
+          h: 'error hash',
+          n: 'occurrences',
+          first: 'first seen',
+          last: 'last seen'
+        }),
+        ...(changes && {
+          was: 'error in previous run',
+          n: 'count',
+          h: 'previous error hash → count'
+        })
       }
     };
 
-    // Build compact report (no legend, no metadata extras)
-    const compactReport = {
-      sum,
-      fails: this.failures,
-      topFails
+    // Build compact report (no legend, no metadata extras).
+    // With compareWithPrevious it only holds the state changes.
+    let compactReport = changes
+      ? {
+          sum,
+          ...changes,
+          ...(flakyPasses.length > 0 && { flakyPasses }),
+          ...(slow.length > 0 && { slow })
+        }
+      : {
+          sum,
+          fails: failures,
+          topFails,
+          ...(flakyPasses.length > 0 && { flakyPasses }),
+          ...(slow.length > 0 && { slow }),
+          ...(skips.length > 0 && { skips })
+        };
+
+    if (runtime.length > 0) {
+      // Runtime-only reports don't need empty test sections
+      if (!changes && failures.length === 0 && flakyPasses.length === 0 && slow.length === 0
+        && skips.length === 0 && suiteFails.length === 0) {
+        compactReport = { sum };
+      }
+      compactReport.runtime = runtime;
+    }
+
+    // Suite/file-level failures come first: nothing in that file or suite ran
+    if (suiteFails.length > 0) {
+      const { sum: summary, ...rest } = compactReport;
+      compactReport = { sum: summary, suiteFails, ...rest };
+    }
+
+    // Partial reports say so in the compact report too
+    if (meta.partial) {
+      compactReport = { partial: { signal: meta.signal, running: meta.running }, ...compactReport };
+    }
+
+    // The first selected format is the primary one (budget, compactPath)
+    const selected = this.resolveFormats();
+
+    // Repeated errors go into an `errors` table (internErrors)
+    const intern = (report) => (this.options.internErrors ? internErrors(report) : report);
+
+    if (this.options.maxTokens) {
+      compactReport = this.fitToBudget(compactReport, this.options.maxTokens, selected[0], intern);
+    }
+    compactReport = intern(compactReport);
+
+    // Encode the same report in every format so the token counts can be compared;
+    // only the selected formats are written
+    const formats = {};
+    const contents = {};
+    for (const [name, { ext }] of Object.entries(REPORT_FORMATS)) {
+      contents[name] = encodeReport(compactReport, name);  // json: no pretty print
+      formats[name] = {
+        tokens: this.estimateTokens(contents[name]),
+        ...(selected.includes(name) && {
+          path: name === 'json' ? compactPath : compactPath.replace(/\.json$/, '') + ext
+        })
+      };
+    }
+
+    return {
+      fullJson: JSON.stringify(fullReport, null, 2),
+      compactReport,
+      formats,
+      contents,
+      selected
     };
+  }
 
-    // Write files
-    const fs = await import('fs');
-    const path = await import('path');
+  /**
+   * Write encoded reports (temp file + rename, so readers never see half-written JSON)
+   * @param {Object} reports - Result of buildReports()
+   * @returns {Promise<void>}
+   */
+  async writeReports(reports) {
+    await fs.promises.mkdir(this.options.outputDir, { recursive: true });
+    await writeFileAtomic(this.getReportPaths().fullPath, reports.fullJson);
+    for (const name of reports.selected) {
+      await writeFileAtomic(reports.formats[name].path, reports.contents[name]);
+    }
+  }
 
-    const outputDir = this.options.outputDir;
-    await fs.promises.mkdir(outputDir, { recursive: true });
+  writeReportsSync(reports) {
+    fs.mkdirSync(this.options.outputDir, { recursive: true });
+    writeFileAtomicSync(this.getReportPaths().fullPath, reports.fullJson);
+    for (const name of reports.selected) {
+      writeFileAtomicSync(reports.formats[name].path, reports.contents[name]);
+    }
+  }
 
-    const fullPath = path.join(outputDir, this.options.fullFilename);
-    const compactPath = path.join(outputDir, this.options.compactFilename);
+  getReportPaths() {
+    return {
+      fullPath: path.join(this.options.outputDir, this.options.fullFilename),
+      compactPath: path.join(this.options.outputDir, this.options.compactFilename)
+    };
+  }
 
-    await fs.promises.writeFile(
-      fullPath,
-      JSON.stringify(fullReport, null, 2)
-    );
+  /**
+   * Slow passing tests, slowest first: every test at or over
+   * `slowThreshold` ms, regressions - tests at least `slowRegression` times
+   * (and 100ms) slower than their historical median (setDurationMedians),
+   * which get the median as `med` - and, opt-in, the `slowTests` slowest
+   * @param {Array} passes - Compact passes
+   * @returns {Array} [{ t, f, d, med? }]
+   */
+  findSlowTests(passes) {
+    const { slowTests, slowThreshold, slowRegression } = this.options;
+    const timed = passes.filter(pass => pass.d > 0).sort((a, b) => b.d - a.d);
 
-    await fs.promises.writeFile(
-      compactPath,
-      JSON.stringify(compactReport)  // No pretty print
-    );
+    const slow = [];
+    timed.forEach((pass, rank) => {
+      const median = this.durationMedians?.get(this.testKey(pass));
+      const regressed = median > 0
+        && pass.d >= median * slowRegression
+        && pass.d - median >= MIN_REGRESSION_MS;
 
+      if (rank < slowTests || (slowThreshold && pass.d >= slowThreshold) || regressed) {
+        slow.push({ t: pass.t, f: pass.f, d: pass.d, ...(regressed && { med: median }) });
+      }
+    });
+
+    return slow;
+  }
+
+  summarize(failed, passed, skipped = 0) {
+    const total = failed + passed + skipped;
     return {
-      fullPath,
-      compactPath,
-      fullTokens: this.estimateTokens(fullReport),
-      compactTokens: this.estimateTokens(compactReport),
-      failures: this.failures.length,
-      passes: this.passes.length
+      tot: total,
+      pas: passed,
+      fai: failed,
+      ...(skipped > 0 && { skp: skipped }),
+      rate: total > 0 ? Math.round((passed / total) * 100) : 0
+    };
+  }
+
+  // ===== Runtime Errors =====
+
+  /**
+   * Log an error from a running process (no test involved).
+   * Errors with the same normalized message are counted in one entry
+   * with first/last seen times.
+   * @param {Error|*} err - Error, or any thrown value
+   * @param {Object} [context] - Extra info, kept from the latest occurrence
+   * @returns {string} Error hash
+   */
+  logError(err, context = {}) {
+    const isObject = err !== null && typeof err === 'object';
+    const e = {
+      type: (isObject && err.name) || 'Error',
+      msg: this.compactMessage(isObject && 'message' in err ? String(err.message) : this.compactValue(err)),
+      ...(isObject && this.compactRelatedErrors(err))
     };
+    const h = shortErrorHash(e) || shortErrorHash({ msg: e.type });
+    const now = new Date().toISOString();
+
+    const entry = this.runtimeErrors.get(h);
+    if (entry) {
+      entry.n++;
+      entry.last = now;
+      if (Object.keys(context).length > 0) entry.ctx = context;
+    } else if (this.runtimeErrors.size >= this.options.maxRuntimeErrors) {
+      this.runtimeDropped++;
+    } else {
+      const stk = isObject ? this.extractErrorFrames(err.stack) : null;
+      this.runtimeErrors.set(h, {
+        h,
+        e,
+        n: 1,
+        first: now,
+        last: now,
+        ...(stk && { stk }),
+        ...(Object.keys(context).length > 0 && { ctx: context })
+      });
+    }
+
+    this.dirty = true;
+    this.scheduleFlush();
+    return h;
+  }
+
+  /**
+   * Compact the errors linked to an error: its `cause` chain (outer →
+   * innermost), AggregateError members and further errors reported for
+   * the same test, each as { type, msg, at } with at most `maxCauses`
+   * entries per list
+   * @param {Object} [error] - Error or standard failure error
+   * @returns {Object} { cause?, errs?, more? }
+   */
+  compactRelatedErrors(error) {
+    const related = {};
+    const max = Math.max(this.options.maxCauses, 2);
+    if (!error) return related;
+
+    const chain = [];
+    const seen = new Set([error]);
+    for (let cause = error.cause; cause !== undefined && cause !== null && !seen.has(cause); cause = cause.cause) {
+      seen.add(cause);
+      chain.push(cause);
+    }
+    if (chain.length > 0) {
+      // The innermost cause is the interesting one, keep it when capping
+      related.cause = chain.length > max
+        ? [...chain.slice(0, max - 2), chain.length - max + 1, chain[chain.length - 1]]
+        : chain;
+    }
+
+    if (Array.isArray(error.errors) && error.errors.length > 0) {
+      related.errs = error.errors.length > max
+        ? [...error.errors.slice(0, max - 1), error.errors.length - max + 1]
+        : error.errors;
+    }
+
+    if (Array.isArray(error.others) && error.others.length > 0) {
+      related.more = error.others.length > max
+        ? [...error.others.slice(0, max - 1), error.others.length - max + 1]
+        : error.others;
+    }
+
+    for (const [key, list] of Object.entries(related)) {
+      related[key] = list.map(item => typeof item === 'number'
+        ? { type: '…', msg: `${item} more` }
+        : this.compactErrorLink(item));
+    }
+
+    return related;
+  }
+
+  /**
+   * One linked error as { type, msg, at } (at: top application frame)
+   * @param {Error|*} err - Error, or any thrown value
+   * @returns {Object} Compact error link
+   */
+  compactErrorLink(err) {
+    const isObject = err !== null && typeof err === 'object';
+    const at = isObject ? this.extractErrorFrames(err.stack, 1)?.[0] : null;
+
+    return {
+      type: (isObject && err.name) || 'Error',
+      msg: this.compactMessage(isObject && 'message' in err ? String(err.message) : this.compactValue(err)),
+      ...(at && { at })
+    };
+  }
+
+  /**
+   * Top application frames of a stack, as "fn file:line"
+   * @param {string} stack - Stack trace
+   * @param {number} [max=3] - Max frames
+   * @returns {Array<string>|null} Frames
+   */
+  extractErrorFrames(stack, max = 3) {
+    if (typeof stack !== 'string') return null;
+
+    const frames = [];
+    for (const line of stack.split('\n')) {
+      const match = line.match(/^\s*at (?:(.+?) \()?(.+?):(\d+):\d+\)?$/);
+      if (!match || match[2].startsWith('node:') || match[2].includes('node_modules')) continue;
+
+      frames.push(`${match[1] ? `${match[1]} ` : ''}${this.extractFilename(match[2])}:${match[3]}`);
+      if (frames.length >= max) break;
+    }
+
+    return frames.length > 0 ? frames : null;
+  }
+
+  /**
+   * Start the rolling flush (`flushInterval` ms) on the first logged error
+   */
+  scheduleFlush() {
+    if (!this.options.flushInterval || this.flushTimer || this.finalized) return;
+
+    this.flushTimer = setInterval(() => {
+      if (!this.dirty || this.flushing) return;
+      this.flushing = this.flush()
+        .catch((error) => {
+          console.warn(`CompactLogger: Failed to flush reports: ${error.message}`);
+        })
+        .finally(() => {
+          this.flushing = null;
+        });
+    }, this.options.flushInterval);
+
+    // Don't keep the process alive just to flush
+    this.flushTimer.unref?.();
+  }
+
+  /**
+   * Write the reports with everything logged so far, without finalizing.
+   * Long-running processes call this (or use `flushInterval`) instead of finalize().
+   * @returns {Promise<Object|null>} { fullPath, compactPath } or null after finalize()
+   */
+  async flush() {
+    if (this.finalized) return null;
+
+    this.dirty = false;
+    const reports = this.buildCurrentReports();
+    await this.writeReports(reports);
+
+    return {
+      fullPath: this.getReportPaths().fullPath,
+      compactPath: reports.formats[reports.selected[0]].path
+    };
+  }
+
+  flushSync() {
+    if (this.finalized) return;
+
+    this.dirty = false;
+    this.writeReportsSync(this.buildCurrentReports());
+  }
+
+  buildCurrentReports() {
+    return this.buildReports({
+      meta: { ...this.metadata, dur: Date.now() - this.startTime, flushed: new Date().toISOString() },
+      sum: this.summarize(this.failures.length, this.passes.length, this.skips.length),
+      failures: this.failures,
+      passes: this.passes,
+      skips: this.skips,
+      suiteFails: this.suiteFails
+    });
+  }
+
+  /**
+   * Log uncaught exceptions and unhandled rejections (`captureProcessErrors`).
+   * Reports are flushed right away; the process still crashes (or not)
+   * as it would without the hooks, following `--unhandled-rejections`.
+   */
+  installErrorHooks() {
+    this.errorHooks = {
+      // Monitor only - doesn't stop the process from crashing
+      uncaughtExceptionMonitor: (error, origin) => {
+        this.logError(error, { src: origin });
+        this.flushSafely();
+      },
+      unhandledRejection: (reason) => {
+        this.logError(reason, { src: 'unhandledRejection' });
+        this.flushSafely();
+
+        // Listening changes what Node does with the rejection; unless someone
+        // else listens, do what --unhandled-rejections says without a listener
+        if (process.listenerCount('unhandledRejection') === 1) {
+          const mode = unhandledRejectionsMode();
+          if (mode === 'throw') {
+            console.error(reason);
+            process.exit(1);
+          } else if (mode === 'warn-with-error-code') {
+            process.exitCode = 1;
+          }
+        }
+      }
+    };
+
+    for (const [event, handler] of Object.entries(this.errorHooks)) {
+      process.on(event, handler);
+    }
+  }
+
+  removeErrorHooks() {
+    for (const [event, handler] of Object.entries(this.errorHooks || {})) {
+      process.removeListener(event, handler);
+    }
+    this.errorHooks = null;
+  }
+
+  flushSafely() {
+    try {
+      this.flushSync();
+    } catch (error) {
+      console.warn(`CompactLogger: Failed to flush reports: ${error.message}`);
+    }
+  }
+
+  // ===== Crash Safety =====
+
+  /**
+   * Write a partial report if the process dies before finalize()
+   * (SIGINT, SIGTERM, uncaught exception, or exit). Enabled by `crashSafe`.
+   */
+  installCrashHandlers() {
+    const onSignal = (signal) => {
+      this.writePartialReport({ signal });
+
+      // Keep the default behaviour (exit) unless someone else handles the signal
+      this.removeCrashHandlers();
+      if (process.listenerCount(signal) === 0) {
+        process.kill(process.pid, signal);
+      }
+    };
+
+    this.crashHandlers = {
+      SIGINT: onSignal,
+      SIGTERM: onSignal,
+      // Monitor only - doesn't stop the process from crashing
+      uncaughtExceptionMonitor: (error) => this.writePartialReport({ signal: 'uncaughtException', error }),
+      exit: () => this.writePartialReport({ signal: 'exit' })
+    };
+
+    for (const [event, handler] of Object.entries(this.crashHandlers)) {
+      process.on(event, handler);
+    }
+  }
+
+  removeCrashHandlers() {
+    for (const [event, handler] of Object.entries(this.crashHandlers || {})) {
+      process.removeListener(event, handler);
+    }
+    this.crashHandlers = null;
+  }
+
+  /**
+   * Remember which test is running, for partial reports
+   * @param {Object|null} test - { name, id?, location: { file } }, or null when idle
+   */
+  setRunningTest(test) {
+    this.running = test
+      ? { t: test.name, ...(test.id && { id: test.id }), f: this.extractFilename(test.location?.file) }
+      : null;
+  }
+
+  /**
+   * Synchronously write reports from the results so far, with
+   * `meta.partial: true`, the signal and the test that was running.
+   * Runs at most once and never after finalize().
+   * @param {Object} [info]
+   * @param {string} [info.signal] - Signal or event name
+   * @param {Error} [info.error] - Uncaught exception
+   */
+  writePartialReport({ signal, error } = {}) {
+    if (this.finalized || this.partialWritten) return;
+    this.partialWritten = true;
+
+    try {
+      const { failures, passes, skips } = this.collectResults();
+      const reports = this.buildReports({
+        meta: {
+          ...this.metadata,
+          dur: Date.now() - this.startTime,
+          partial: true,
+          signal,
+          ...(this.running && { running: this.running }),
+          ...(error && { err: { type: error.name || 'Error', msg: this.compactMessage(error.message || String(error)) } })
+        },
+        sum: this.summarize(failures.length, passes.length, skips.length),
+        failures,
+        passes,
+        skips,
+        suiteFails: this.suiteFails
+      });
+
+      this.writeReportsSync(reports);
+
+      if (this.options.stream) {
+        this.writeStream({ s: 'end', partial: true, signal });
+        this.closeStream();
+      }
+    } catch (writeError) {
+      console.warn(`CompactLogger: Failed to write partial report: ${writeError.message}`);
+    }
+  }
+
+  /**
+   * Logged results plus those only recorded early (streamFailure/streamPass/streamSkip)
+   * @returns {Object} { failures, passes, skips }
+   */
+  collectResults() {
+    const logged = new Set([...this.failures, ...this.passes, ...this.skips].map(result => this.testKey(result)));
+    const failures = [...this.failures];
+    const passes = [...this.passes];
+    const skips = [...this.skips];
+
+    for (const [key, { s, ...record }] of this.early) {
+      if (logged.has(key)) continue;
+      if (s === 'fail') {
+        failures.push(record);
+      } else if (s === 'pass') {
+        passes.push(record);
+      } else if (s === 'flakyPass') {
+        passes.push({ ...record, s });
+      } else {
+        skips.push({ ...record, s });
+      }
+    }
+
+    return { failures, passes, skips };
+  }
+
+  /**
+   * Selected compact report formats, without unknown names
+   * @returns {Array<string>} Format names (at least one)
+   */
+  resolveFormats() {
+    const formats = [].concat(this.options.formats).filter((format) => {
+      if (REPORT_FORMATS[format]) return true;
+      console.warn(`Unknown report format '${format}', skipping (expected ${Object.keys(REPORT_FORMATS).join(', ')})`);
+      return false;
+    });
+
+    return formats.length > 0 ? [...new Set(formats)] : ['json'];
+  }
+
+  /**
+   * Read the failures from the previous full report
+   * @param {string} fullPath - Path of the full report
+   * @returns {Promise<Array|null>} Previous failures or null
+   */
+  async loadPreviousFailures(fullPath) {
+    try {
+      const previous = JSON.parse(await fs.promises.readFile(fullPath, 'utf8'));
+      return Array.isArray(previous.fails) ? previous.fails : null;
+    } catch {
+      // No previous report (first run) or unreadable
+      return null;
+    }
+  }
+
+  /**
+   * Compare current results with the previous run's failures
+   * @param {Array} baseline - Previous failures ({ t, id?, f?, e }), matched by testKey
+   * @returns {Object} { newFails, fixed, stillFailing: { n, h }, changedError }
+   */
+  compareWithBaseline(baseline) {
+    const previous = new Map(baseline.map(failure => [this.testKey(failure), failure]));
+    const failing = new Set(this.failures.map(failure => this.testKey(failure)));
+    const passing = new Set(this.passes.map(pass => this.testKey(pass)));
+
+    const newFails = [];
+    const changedError = [];
+    const stillFailing = { n: 0, h: {} };
+
+    for (const failure of this.failures) {
+      const before = previous.get(this.testKey(failure));
+
+      if (!before) {
+        newFails.push(failure);
+        continue;
+      }
+
+      const previousHash = shortErrorHash(before.e) || 'none';
+      if (previousHash !== (shortErrorHash(failure.e) || 'none')) {
+        changedError.push({ ...failure, was: { type: before.e?.type, msg: before.e?.msg } });
+      } else {
+        stillFailing.n++;
+        stillFailing.h[previousHash] = (stillFailing.h[previousHash] || 0) + 1;
+      }
+    }
+
+    const fixed = baseline
+      .filter(failure => passing.has(this.testKey(failure)) && !failing.has(this.testKey(failure)))
+      .map(failure => failure.t);
+
+    return { newFails, fixed, stillFailing, changedError };
+  }
+
+  /**
+   * Drop or shorten fields of the compact report until it fits the budget.
+   * Order: skips, slow, flakyPasses, coverage, links, code.ctx, snap.diff,
+   * e.diff.lines, log, collapse root cause groups, history, stk, then failures
+   * from the end (binary search on how many to keep). What was dropped is
+   * recorded in `trim`.
+   * @param {Object} report - Compact report
+   * @param {number} maxTokens - Token budget
+   * @param {string} [format='json'] - Format the budget is measured in
+   * @param {Function} [prepare] - Applied before measuring (e.g. error interning)
+   * @returns {Object} Report that fits (a trimmed copy if needed)
+   */
+  fitToBudget(report, maxTokens, format = 'json', prepare = (value) => value) {
+    const measure = (value) => this.estimateTokens(encodeReport(prepare(value), format));
+
+    if (measure(report) <= maxTokens) {
+      return report;
+    }
+
+    const trimmed = JSON.parse(JSON.stringify(report));
+    trimmed.trim = { drop: [] };
+
+    for (const step of TRIM_STEPS) {
+      if (step.apply(trimmed, this)) {
+        trimmed.trim.drop.push(step.name);
+      }
+      if (measure(trimmed) <= maxTokens) {
+        return trimmed;
+      }
+    }
+
+    // Last resort: omit failures from the end of each list, keeping the
+    // longest prefix that fits (found by binary search, not one at a time)
+    trimmed.trim.omit = 0;
+    for (const key of [...FAILURE_LISTS].reverse()) {
+      const list = trimmed[key];
+      if (!list?.length || measure(trimmed) <= maxTokens) continue;
+
+      const omitted = trimmed.trim.omit;
+      const fits = (keep) => {
+        trimmed[key] = list.slice(0, keep);
+        trimmed.trim.omit = omitted + list.length - keep;
+        return measure(trimmed) <= maxTokens;
+      };
+
+      // The whole list doesn't fit; if none of it does, the next list goes too
+      let keep = 0;
+      let low = 1;
+      let high = list.length - 1;
+      while (low <= high) {
+        const mid = (low + high) >> 1;
+        if (fits(mid)) {
+          keep = mid;
+          low = mid + 1;
+        } else {
+          high = mid - 1;
+        }
+      }
+      fits(keep);
+    }
+
+    return trimmed;
+  }
+
+  /**
+   * Keep one failure per root cause group; the others are listed by name
+   * @param {Object} report - Compact report (mutated)
+   * @returns {boolean} True if any failure was collapsed
+   */
+  collapseRootCauseGroups(report) {
+    const groups = (this.metadata.rootCauses || [])
+      .filter(cause => cause.count > 1 && cause.pattern !== 'Various unrelated errors');
+    let collapsed = false;
+
+    for (const key of FAILURE_LISTS) {
+      if (!report[key]) continue;
+
+      for (const cause of groups) {
+        const members = new Set(cause.affectedTests);
+        const grouped = report[key].filter(failure => members.has(failure.t));
+        if (grouped.length < 2) continue;
+
+        const [kept, ...rest] = grouped;
+        kept.grp = { pattern: cause.pattern, also: rest.map(failure => failure.t) };
+        report[key] = report[key].filter(failure => !rest.includes(failure));
+        collapsed = true;
+      }
+    }
+
+    return collapsed;
   }
 
   // ===== Helper Methods =====
@@ -262,10 +1438,25 @@ export class CompactLogger {
       .slice(0, 5);  // Top 5
   }
 
+  /**
+   * Count tokens with the configured counter (`tokenCounter` option)
+   * @param {Object|string} obj - Report object (counted as compact JSON) or text
+   * @returns {number} Token count
+   */
   estimateTokens(obj) {
-    // Rough estimate: 1 token ≈ 4 characters
-    const str = JSON.stringify(obj);
-    return Math.ceil(str.length / 4);
+    const str = typeof obj === 'string' ? obj : JSON.stringify(obj);
+    return this.getTokenCounter().count(str);
+  }
+
+  /**
+   * The token counter, created on first use
+   * @returns {Object} Counter with { name, count(text) }
+   */
+  getTokenCounter() {
+    if (!this.tokenCounter) {
+      this.tokenCounter = createTokenCounter(this.options.tokenCounter);
+    }
+    return this.tokenCounter;
   }
 
   getMostFailingFile(byFile) {
@@ -13,6 +13,13 @@ export { RootCauseAnalyzer } from './root-cause-analyzer.js';
 export { PersistentIndex } from './persistent-index.js';
 export { CoverageEnhancer } from './coverage-enhancer.js';
 export { QuickLinksGenerator } from './quick-links.js';
+export { SourceMapResolver } from './source-map-resolver.js';
+export {
+  EnhancementPipeline,
+  createPipeline,
+  runEnhancementPipeline,
+  resolveEnhancementOptions
+} from './pipeline.js';
 
 /**
  * Create enhancers based on configuration
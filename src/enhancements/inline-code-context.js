@@ -3,16 +3,20 @@
  *
  * Extracts the failing line of code and surrounding context from test files.
  * Zero coupling - only reads files that Vitest already provides paths for.
+ * Compiled test files are mapped back to their source via source maps.
  *
  * Difficulty: 🟢 Easy
  * ROI: ⭐ HIGHEST
  */
 
 import fs from 'fs';
+import path from 'path';
+import { SourceMapResolver } from './source-map-resolver.js';
 
 export class InlineCodeContextEnhancer {
   constructor(options = {}) {
     this.contextLines = options.contextLines || 3; // Lines before and after
+    this.sourceMaps = options.sourceMaps === false ? null : new SourceMapResolver();
   }
 
   /**
@@ -21,17 +25,26 @@ export class InlineCodeContextEnhancer {
    * @returns {Object} Enhanced failure with code context
    */
   enhance(failure) {
+    // Prefer an explicit error location (e.g. Playwright's error.location)
+    const errorLocation = failure.error?.location;
+    if (errorLocation?.file && errorLocation?.line) {
+      const original = this.sourceMaps?.resolve(errorLocation.file, errorLocation.line, errorLocation.column);
+      const position = original || errorLocation;
+      const codeContext = this.extractTestCode(position.file, position.line);
+      return codeContext ? { ...failure, code: codeContext } : failure;
+    }
+
     if (!failure.location?.file || !failure.error?.stack) {
       return failure;
     }
 
-    const errorLine = this.parseErrorLine(failure.error.stack, failure.location.file);
+    const position = this.findErrorPosition(failure.error.stack, failure.location.file);
 
-    if (!errorLine) {
+    if (!position) {
       return failure;
     }
 
-    const codeContext = this.extractTestCode(failure.location.file, errorLine);
+    const codeContext = this.extractTestCode(position.file, position.line);
 
     if (!codeContext) {
       return failure;
@@ -68,6 +81,37 @@ export class InlineCodeContextEnhancer {
     return null;
   }
 
+  /**
+   * Find the test file's frame in the stack, mapped through source maps.
+   * A compiled frame (e.g. dist/auth.test.js) matches when it maps to the test file.
+   * @param {string} stack - Stack trace string
+   * @param {string} testFile - Test file path
+   * @returns {Object|null} { file, line } or null
+   */
+  findErrorPosition(stack, testFile) {
+    if (!this.sourceMaps) {
+      const line = this.parseErrorLine(stack, testFile);
+      return line ? { file: testFile, line } : null;
+    }
+
+    const filename = path.basename(testFile);
+
+    for (const line of stack.split('\n')) {
+      const match = line.match(/\(?([^\s(]+?):(\d+):(\d+)\)?\s*$/);
+      if (!match) continue;
+
+      const original = this.sourceMaps.resolve(match[1], parseInt(match[2]), parseInt(match[3]));
+      if (original && path.basename(original.file) === filename) {
+        return original;
+      }
+      if (line.includes(filename)) {
+        return { file: testFile, line: parseInt(match[2]) };
+      }
+    }
+
+    return null;
+  }
+
   /**
    * Extract code context around the failing line
    * @param {string} testFile - Path to test file
@@ -76,11 +120,13 @@ export class InlineCodeContextEnhancer {
    */
   extractTestCode(testFile, errorLine) {
     try {
-      const content = fs.readFileSync(testFile, 'utf8');
-      const lines = content.split('\n');
+      // The resolver also reads `sourcesContent` for sources not on disk
+      const lines = this.sourceMaps
+        ? this.sourceMaps.readLines(testFile)
+        : fs.readFileSync(testFile, 'utf8').split('\n');
 
       // Bounds checking
-      if (errorLine < 1 || errorLine > lines.length) {
+      if (!lines || errorLine < 1 || errorLine > lines.length) {
         return null;
       }
 
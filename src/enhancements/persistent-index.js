@@ -10,8 +10,14 @@
 
 import fs from 'fs';
 import path from 'path';
-import crypto from 'crypto';
 import { execSync } from 'child_process';
+import { hashError } from '../error-hash.js';
+
+// Bumped with each migration in migrateSchema() (stored as PRAGMA user_version)
+const SCHEMA_VERSION = 1;
+
+// Prefix of test IDs given to rows recorded before test IDs existed
+const LEGACY_ID_PREFIX = 'legacy:';
 
 /**
  * Persistent test history index
@@ -21,8 +27,11 @@ export class PersistentIndex {
   constructor(outputDir, options = {}) {
     this.enabled = options.enabled !== false;
     this.dbPath = path.join(outputDir, '.test-index', 'history.db');
-    this.retentionDays = options.retentionDays || 30;
+    this.retentionDays = options.retentionDays ?? 30;
     this.trackGit = options.trackGit !== false;
+    // Query an existing database without creating, migrating or cleaning it up
+    this.readonly = options.readonly === true;
+    this.schemaVersion = null;
     this.db = null;
     this.initPromise = null;
     this.initialized = false;
@@ -58,6 +67,13 @@ export class PersistentIndex {
           return;
         }
 
+        if (this.readonly) {
+          this.db = new Database(this.dbPath, { readonly: true, fileMustExist: true });
+          this.schemaVersion = this.db.pragma('user_version', { simple: true });
+          this.initialized = true;
+          return;
+        }
+
         // Create directory if needed
         const dir = path.dirname(this.dbPath);
         if (!fs.existsSync(dir)) {
@@ -116,6 +132,7 @@ export class PersistentIndex {
       CREATE TABLE IF NOT EXISTS results (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
         run_id INTEGER NOT NULL,
+        test_id TEXT,
         test_name TEXT NOT NULL,
         file TEXT NOT NULL,
         status TEXT NOT NULL,
@@ -132,6 +149,43 @@ export class PersistentIndex {
       CREATE INDEX IF NOT EXISTS idx_status ON results(status);
       CREATE INDEX IF NOT EXISTS idx_timestamp ON runs(timestamp);
     `);
+
+    this.migrateSchema();
+    this.db.exec('CREATE INDEX IF NOT EXISTS idx_test_id ON results(test_id)');
+  }
+
+  /**
+   * Bring a database created by an older version up to SCHEMA_VERSION
+   */
+  migrateSchema() {
+    const version = this.db.pragma('user_version', { simple: true });
+    if (version >= SCHEMA_VERSION) return;
+
+    this.db.transaction(() => {
+      // 1: results are keyed by a stable test ID (relative path > describe
+      // path > name) instead of the bare name. Older rows only have the file
+      // name and test name, so they can't get the new ID here: they are
+      // flagged as legacy:<file> > <name>, taken over by the first test
+      // recorded with that file and name (recordTestResults), and left out
+      // of the listings until then
+      const columns = this.db.prepare('PRAGMA table_info(results)').all();
+      if (!columns.some(column => column.name === 'test_id')) {
+        this.db.exec('ALTER TABLE results ADD COLUMN test_id TEXT');
+      }
+      this.db.prepare(`UPDATE results SET test_id = ? || file || ' > ' || test_name WHERE test_id IS NULL`)
+        .run(LEGACY_ID_PREFIX);
+
+      this.db.pragma(`user_version = ${SCHEMA_VERSION}`);
+    })();
+  }
+
+  /**
+   * Whether the database was written by an older version and still needs
+   * migrateSchema() (only known for readonly indexes, which don't migrate)
+   * @returns {boolean} True if the schema is older than SCHEMA_VERSION
+   */
+  isOutdated() {
+    return this.schemaVersion !== null && this.schemaVersion < SCHEMA_VERSION;
   }
 
   /**
@@ -173,7 +227,8 @@ export class PersistentIndex {
   /**
    * Record test results for a run
    * @param {number} runId - Run ID
-   * @param {Array} tests - Test results
+   * @param {Array} tests - Compact failures, passes and skips (status from `s`, key from `id`).
+   *   A `flakyPass` is stored with the error of its first failed attempt.
    * @returns {Promise<void>}
    */
   async recordTestResults(runId, tests) {
@@ -182,23 +237,36 @@ export class PersistentIndex {
 
     try {
       const insert = this.db.prepare(`
-        INSERT INTO results (run_id, test_name, file, status, duration_ms, error_type, error_message, error_hash, stack_trace)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        INSERT INTO results (run_id, test_id, test_name, file, status, duration_ms, error_type, error_message, error_hash, stack_trace)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `);
 
+      // Rows from before test IDs move to the test's ID (see migrateSchema)
+      const adopt = this.hasLegacyResults()
+        ? this.db.prepare('UPDATE results SET test_id = ? WHERE test_id = ?')
+        : null;
+
       const insertMany = this.db.transaction((tests) => {
         for (const test of tests) {
-          const errorHash = test.e ? this.hashError(test.e) : null;
+          const error = test.e || test.att?.[0];
+          const errorHash = error ? this.hashError(error) : null;
           const stackTrace = test.stk ? JSON.stringify(test.stk) : null;
+          const name = test.t || 'unknown';  // Ensure test name is never null
+          const file = test.f?.split(':')[0] || 'unknown';
+
+          if (adopt && test.id) {
+            adopt.run(test.id, `${LEGACY_ID_PREFIX}${file} > ${name}`);
+          }
 
           insert.run(
             runId,
-            test.t || 'unknown',  // Ensure test name is never null
-            test.f?.split(':')[0] || 'unknown',
-            test.e ? 'fail' : 'pass',
+            test.id || `${file} > ${name}`,  // Same key as CompactLogger.testKey()
+            name,
+            file,
+            test.s || (test.e ? 'fail' : 'pass'),
             test.d || 0,
-            test.e?.type || null,
-            test.e?.msg || null,
+            error?.type || null,
+            error?.msg || test.why || null,  // Skip reason for skipped tests
             errorHash,
             stackTrace
           );
@@ -211,23 +279,22 @@ export class PersistentIndex {
     }
   }
 
+  /**
+   * Whether rows recorded before test IDs are still waiting to be taken over
+   * @returns {boolean}
+   */
+  hasLegacyResults() {
+    return Boolean(this.db.prepare('SELECT 1 FROM results WHERE test_id >= ? AND test_id < ? LIMIT 1')
+      .get(LEGACY_ID_PREFIX, `${LEGACY_ID_PREFIX.slice(0, -1)};`));
+  }
+
   /**
    * Create stable hash from error pattern
    * @param {Object} error - Error object
    * @returns {string} MD5 hash
    */
   hashError(error) {
-    if (!error || !error.msg) return null;
-
-    // Normalize error message to detect similar errors
-    const normalized = error.msg
-      .replace(/:\d+:\d+/g, ':X:X')      // Remove line:col
-      .replace(/\d+/g, 'N')              // Replace numbers
-      .replace(/'[^']*'/g, 'STR')        // Replace string literals
-      .replace(/"[^"]*"/g, 'STR')        // Replace double-quoted strings
-      .replace(/`[^`]*`/g, 'STR');       // Replace backtick strings
-
-    return crypto.createHash('md5').update(normalized).digest('hex');
+    return hashError(error);
   }
 
   /**
@@ -258,11 +325,11 @@ export class PersistentIndex {
 
   /**
    * Get test history
-   * @param {string} testName - Test name
+   * @param {string} testId - Test ID (compact record `id`)
    * @param {number} limit - Max results
    * @returns {Promise<Array>} Test history
    */
-  async getTestHistory(testName, limit = 10) {
+  async getTestHistory(testId, limit = 10) {
     await this.initialize();
     if (!this.db || !this.enabled) return [];
 
@@ -271,12 +338,12 @@ export class PersistentIndex {
         SELECT r.*, runs.timestamp, runs.git_hash, runs.git_branch
         FROM results r
         JOIN runs ON r.run_id = runs.id
-        WHERE r.test_name = ?
+        WHERE r.test_id = ?
         ORDER BY runs.timestamp DESC
         LIMIT ?
       `);
 
-      return query.all(testName, limit);
+      return query.all(testId, limit);
     } catch (error) {
       console.warn(`PersistentIndex: Query failed: ${error.message}`);
       return [];
@@ -294,15 +361,16 @@ export class PersistentIndex {
 
     try {
       const query = this.db.prepare(`
-        SELECT test_name, file, COUNT(*) as occurrences
+        SELECT test_id, test_name, file, COUNT(*) as occurrences
         FROM results
         WHERE error_hash = ? AND status = 'fail'
-        GROUP BY test_name, file
+          AND test_id NOT LIKE ?
+        GROUP BY test_id
         ORDER BY occurrences DESC
         LIMIT 10
       `);
 
-      return query.all(errorHash);
+      return query.all(errorHash, `${LEGACY_ID_PREFIX}%`);
     } catch (error) {
       console.warn(`PersistentIndex: Query failed: ${error.message}`);
       return [];
@@ -311,11 +379,11 @@ export class PersistentIndex {
 
   /**
    * Calculate test flakiness
-   * @param {string} testName - Test name
+   * @param {string} testId - Test ID (compact record `id`)
    * @param {number} windowDays - Time window in days
    * @returns {Promise<Object|null>} Flakiness stats
    */
-  async getFlakiness(testName, windowDays = 7) {
+  async getFlakiness(testId, windowDays = 7) {
     await this.initialize();
     if (!this.db || !this.enabled) return null;
 
@@ -323,24 +391,27 @@ export class PersistentIndex {
       const query = this.db.prepare(`
         SELECT
           COUNT(*) as total_runs,
-          SUM(CASE WHEN status = 'pass' THEN 1 ELSE 0 END) as passes,
-          SUM(CASE WHEN status = 'fail' THEN 1 ELSE 0 END) as failures
+          SUM(CASE WHEN status IN ('pass', 'flakyPass') THEN 1 ELSE 0 END) as passes,
+          SUM(CASE WHEN status = 'fail' THEN 1 ELSE 0 END) as failures,
+          SUM(CASE WHEN status = 'flakyPass' THEN 1 ELSE 0 END) as flaky_passes
         FROM results r
         JOIN runs ON r.run_id = runs.id
-        WHERE r.test_name = ?
+        WHERE r.test_id = ?
+          AND r.status IN ('pass', 'flakyPass', 'fail')
           AND runs.timestamp > datetime('now', '-' || ? || ' days')
       `);
 
-      const stats = query.get(testName, windowDays);
+      const stats = query.get(testId, windowDays);
 
       if (!stats || stats.total_runs === 0) return null;
 
       return {
         passRate: ((stats.passes / stats.total_runs) * 100).toFixed(1),
-        isFlaky: stats.passes > 0 && stats.failures > 0,
+        isFlaky: (stats.passes > 0 && stats.failures > 0) || stats.flaky_passes > 0,
         totalRuns: stats.total_runs,
         passes: stats.passes,
-        failures: stats.failures
+        failures: stats.failures,
+        ...(stats.flaky_passes > 0 && { flakyPasses: stats.flaky_passes })
       };
     } catch (error) {
       console.warn(`PersistentIndex: Query failed: ${error.message}`);
@@ -348,6 +419,157 @@ export class PersistentIndex {
     }
   }
 
+  /**
+   * Median duration of each test over its most recent passing runs
+   * @param {number} [samples=10] - Recent passing runs per test to use
+   * @param {number} [minRuns=3] - Tests with fewer passing runs get no median
+   * @returns {Promise<Map>} Test ID → median duration in ms
+   */
+  async getDurationMedians(samples = 10, minRuns = 3) {
+    await this.initialize();
+    const medians = new Map();
+    if (!this.db || !this.enabled) return medians;
+
+    try {
+      const rows = this.db.prepare(`
+        SELECT test_id, duration_ms
+        FROM (
+          SELECT
+            test_id,
+            duration_ms,
+            ROW_NUMBER() OVER (PARTITION BY test_id ORDER BY run_id DESC) as recent
+          FROM results
+          WHERE status IN ('pass', 'flakyPass') AND duration_ms > 0
+        )
+        WHERE recent <= ?
+      `).all(samples);
+
+      const durations = new Map();
+      for (const row of rows) {
+        if (!durations.has(row.test_id)) durations.set(row.test_id, []);
+        durations.get(row.test_id).push(row.duration_ms);
+      }
+
+      for (const [testId, values] of durations) {
+        if (values.length < minRuns) continue;
+        values.sort((a, b) => a - b);
+        const middle = Math.floor(values.length / 2);
+        medians.set(testId, values.length % 2 ? values[middle] : Math.round((values[middle - 1] + values[middle]) / 2));
+      }
+    } catch (error) {
+      console.warn(`PersistentIndex: Query failed: ${error.message}`);
+    }
+
+    return medians;
+  }
+
+  /**
+   * Get the failures of the most recently recorded run
+   * @returns {Promise<Array|null>} Failures, or null if no run is recorded
+   */
+  async getLastRunFailures() {
+    await this.initialize();
+    if (!this.db || !this.enabled) return null;
+
+    try {
+      const lastRun = this.db.prepare('SELECT id FROM runs ORDER BY id DESC LIMIT 1').get();
+      if (!lastRun) return null;
+
+      return this.db.prepare(`
+        SELECT test_id, test_name, file, error_type, error_message, error_hash
+        FROM results
+        WHERE run_id = ? AND status = 'fail'
+      `).all(lastRun.id);
+    } catch (error) {
+      console.warn(`PersistentIndex: Query failed: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * List tests that both passed and failed within the window, or
+   * passed on a retry (`flakyPass`)
+   * @param {number} windowDays - Time window in days
+   * @param {number} limit - Max results
+   * @returns {Promise<Array>} Flaky tests, most failures first
+   */
+  async getFlakyTests(windowDays = 7, limit = 10) {
+    await this.initialize();
+    if (!this.db || !this.enabled) return [];
+
+    try {
+      const query = this.db.prepare(`
+        SELECT
+          r.test_id,
+          r.test_name,
+          r.file,
+          COUNT(*) as total_runs,
+          SUM(CASE WHEN status IN ('pass', 'flakyPass') THEN 1 ELSE 0 END) as passes,
+          SUM(CASE WHEN status = 'fail' THEN 1 ELSE 0 END) as failures,
+          SUM(CASE WHEN status = 'flakyPass' THEN 1 ELSE 0 END) as flaky_passes
+        FROM results r
+        JOIN runs ON r.run_id = runs.id
+        WHERE runs.timestamp > datetime('now', '-' || ? || ' days')
+          AND r.status IN ('pass', 'flakyPass', 'fail')
+          AND r.test_id NOT LIKE ?
+        GROUP BY r.test_id
+        HAVING (passes > 0 AND failures > 0) OR flaky_passes > 0
+        ORDER BY failures + flaky_passes DESC
+        LIMIT ?
+      `);
+
+      return query.all(windowDays, `${LEGACY_ID_PREFIX}%`, limit);
+    } catch (error) {
+      console.warn(`PersistentIndex: Query failed: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * List tests skipped (or todo) in every run for at least `minDays`,
+   * up to and including the latest run
+   * @param {number} minDays - Min days since the test last ran
+   * @param {number} limit - Max results
+   * @returns {Promise<Array>} Skipped tests, longest skipped first
+   */
+  async getSkippedTests(minDays = 7, limit = 10) {
+    await this.initialize();
+    if (!this.db || !this.enabled) return [];
+
+    try {
+      const query = this.db.prepare(`
+        SELECT
+          r.test_id,
+          r.test_name,
+          r.file,
+          MIN(runs.timestamp) as skipped_since,
+          COUNT(*) as runs,
+          MAX(r.error_message) as reason
+        FROM results r
+        JOIN runs ON r.run_id = runs.id
+        WHERE r.status IN ('skip', 'todo')
+          AND r.test_id NOT LIKE ?
+          AND runs.timestamp > COALESCE((
+            SELECT MAX(ran.timestamp)
+            FROM results other
+            JOIN runs ran ON other.run_id = ran.id
+            WHERE other.test_id = r.test_id
+              AND other.status NOT IN ('skip', 'todo')
+          ), '')
+        GROUP BY r.test_id
+        HAVING MAX(r.run_id) = (SELECT MAX(id) FROM runs)
+          AND skipped_since < datetime('now', '-' || ? || ' days')
+        ORDER BY skipped_since ASC
+        LIMIT ?
+      `);
+
+      return query.all(`${LEGACY_ID_PREFIX}%`, minDays, limit);
+    } catch (error) {
+      console.warn(`PersistentIndex: Query failed: ${error.message}`);
+      return [];
+    }
+  }
+
   /**
    * Cleanup old data
    */
@@ -0,0 +1,362 @@
+/**
+ * Enhancement Pipeline
+ *
+ * Applies built-in and custom enhancers in dependency order and logs
+ * the results. Shared by every framework reporter so the order lives
+ * in one place.
+ */
+
+/**
+ * Resolve the `enhancements` reporter option block with defaults applied
+ * @param {Object} [enhancements] - User supplied enhancement options
+ * @returns {Object} Enhancement options for createEnhancers()
+ */
+export function resolveEnhancementOptions(enhancements = {}) {
+  return {
+    codeContext: enhancements.codeContext ?? true, // Default enabled
+    stack: enhancements.stack ?? true, // Default enabled
+    diff: enhancements.diff ?? true, // Default enabled
+    rootCause: enhancements.rootCause ?? true, // Default enabled
+    coverage: enhancements.coverage ?? true, // Default enabled
+    links: enhancements.links ?? true, // Default enabled
+    persistentIndex: enhancements.persistentIndex || { enabled: false }
+  };
+}
+
+/**
+ * Built-in per-failure enhancers, in registration order.
+ * `after` lists enhancers whose output they read.
+ */
+const BUILTIN_ENHANCERS = [
+  // 1. Inline code context (highest ROI)
+  { name: 'codeContext', after: [] },
+  // 2. Smart diff formatting
+  { name: 'diff', after: [] },
+  // 3. Enhanced stack traces
+  { name: 'stack', after: [] },
+  // 4. Coverage integration (reads enhanced stk)
+  { name: 'coverage', async: true, after: ['stack'] },
+  // 5. Quick links (reads enhanced stk)
+  {
+    name: 'links',
+    async: true,
+    after: ['stack'],
+    enhance: async (instance, failure, context) => {
+      const links = await instance.generate(failure, context.index);
+      return links ? { ...failure, links } : failure;
+    }
+  }
+];
+
+/**
+ * Ordered, fault-isolated set of per-failure enhancers
+ *
+ * An enhancer is a plain object:
+ * {
+ *   name: 'serviceLog',            // unique name, used by `after`
+ *   async: true,                   // enhance() returns a Promise
+ *   after: ['codeContext'],        // enhancers that must run first
+ *   enhance(failure, context) {}   // returns the enhanced failure
+ * }
+ * `enhanceAll(failures, context)` may be implemented instead of `enhance`.
+ */
+export class EnhancementPipeline {
+  constructor() {
+    this.registry = new Map();
+  }
+
+  /**
+   * Register an enhancer (replaces one with the same name in place)
+   * @param {Object} enhancer - Enhancer definition
+   * @returns {EnhancementPipeline} this
+   */
+  register(enhancer) {
+    if (!enhancer?.name) {
+      throw new Error('Enhancer requires a name');
+    }
+    if (typeof enhancer.enhance !== 'function' && typeof enhancer.enhanceAll !== 'function') {
+      throw new Error(`Enhancer '${enhancer.name}' must implement enhance() or enhanceAll()`);
+    }
+
+    this.registry.set(enhancer.name, {
+      async: false,
+      after: [],
+      ...enhancer
+    });
+    return this;
+  }
+
+  /**
+   * Remove an enhancer
+   * @param {string} name - Enhancer name
+   * @returns {EnhancementPipeline} this
+   */
+  unregister(name) {
+    this.registry.delete(name);
+    return this;
+  }
+
+  /**
+   * Order enhancers so each runs after its dependencies, otherwise
+   * keeping registration order. Unknown dependencies are ignored
+   * (e.g. a disabled built-in).
+   * @returns {Object} { order: Array, cyclic: Array<string> }
+   */
+  resolveOrder() {
+    const order = [];
+    const done = new Set();
+    let pending = [...this.registry.values()];
+
+    while (pending.length > 0) {
+      const ready = pending.find(enhancer =>
+        enhancer.after.every(dep => done.has(dep) || !this.registry.has(dep))
+      );
+
+      if (!ready) break;
+
+      order.push(ready);
+      done.add(ready.name);
+      pending = pending.filter(enhancer => enhancer !== ready);
+    }
+
+    return { order, cyclic: pending.map(enhancer => enhancer.name) };
+  }
+
+  /**
+   * Run all enhancers over the failures
+   * @param {Array} failures - Standard failure objects
+   * @param {Object} [context] - Passed to every enhancer ({ index, logger, framework })
+   * @returns {Promise<Object>} { failures, errors }
+   */
+  async run(failures, context = {}) {
+    const errors = new Map();
+    const record = (name, error) => {
+      const entry = errors.get(name) || { name, count: 0, msg: error?.message || String(error) };
+      entry.count++;
+      errors.set(name, entry);
+    };
+
+    const { order, cyclic } = this.resolveOrder();
+    for (const name of cyclic) {
+      record(name, new Error(`Dependency cycle, skipped (after: ${this.registry.get(name).after.join(', ')})`));
+    }
+
+    let current = failures;
+
+    for (const enhancer of order) {
+      if (typeof enhancer.enhance === 'function') {
+        const next = [];
+        for (const failure of current) {
+          try {
+            const result = await this.invoke(enhancer, () => enhancer.enhance(failure, context));
+            next.push(result || failure);
+          } catch (error) {
+            record(enhancer.name, error);
+            next.push(failure);
+          }
+        }
+        current = next;
+      } else {
+        try {
+          current = (await this.invoke(enhancer, () => enhancer.enhanceAll(current, context))) || current;
+        } catch (error) {
+          record(enhancer.name, error);
+        }
+      }
+    }
+
+    return { failures: current, errors: [...errors.values()] };
+  }
+
+  /**
+   * Call an enhancer, only awaiting those declared async
+   * @param {Object} enhancer - Enhancer definition
+   * @param {Function} call - Invokes the enhancer
+   * @returns {Promise<*>} Result
+   */
+  async invoke(enhancer, call) {
+    const result = call();
+
+    if (enhancer.async) {
+      return await result;
+    }
+
+    if (typeof result?.then === 'function') {
+      result.then(null, () => {}); // Don't leave the rejection unhandled
+      throw new Error('returned a Promise but is not declared async');
+    }
+
+    return result;
+  }
+}
+
+/**
+ * Build the pipeline from enabled built-ins plus custom enhancers
+ * @param {Object} enhancers - Enhancers from createEnhancers()
+ * @param {Array} [custom] - Custom enhancer definitions (reporter `enhancers` option)
+ * @returns {Object} { pipeline, errors } - errors for invalid custom enhancers
+ */
+export function createPipeline(enhancers = {}, custom = []) {
+  const pipeline = new EnhancementPipeline();
+  const errors = [];
+
+  for (const builtin of BUILTIN_ENHANCERS) {
+    const instance = enhancers[builtin.name];
+    if (!instance) continue;
+
+    pipeline.register({
+      ...builtin,
+      enhance: builtin.enhance
+        ? (failure, context) => builtin.enhance(instance, failure, context)
+        : (failure) => instance.enhance(failure)
+    });
+  }
+
+  for (const enhancer of custom) {
+    try {
+      pipeline.register(enhancer);
+    } catch (error) {
+      console.warn(`Failed to register enhancer: ${error.message}`);
+      errors.push({ name: enhancer?.name || 'unknown', count: 0, msg: error.message });
+    }
+  }
+
+  return { pipeline, errors };
+}
+
+/**
+ * Run the enhancement pipeline and log all results
+ *
+ * Per-failure enhancers run on standard failures before logging;
+ * root cause analysis and history tracking run on the compact records.
+ * Enhancer errors never break the report - they are listed in
+ * `meta.enhancerErrors` instead.
+ *
+ * @param {Object} enhancers - Enhancers from createEnhancers()
+ * @param {Object} run - Run data
+ * @param {CompactLogger} run.logger - Logger to write results into
+ * @param {Array} run.failures - Standard failure objects
+ * @param {Array} [run.passes] - Standard pass objects
+ * @param {Array} [run.skips] - Skipped/todo tests (see CompactLogger.logSkip)
+ * @param {Array} [run.suiteFailures] - Hook, collection and unhandled errors (see CompactLogger.logSuiteFailure)
+ * @param {Object} [run.summary] - Summary used for the history run record
+ * @param {string} [run.framework] - Framework name for the history run record
+ * @param {Array} [run.custom] - Custom enhancer definitions
+ * @returns {Promise<void>}
+ */
+export async function runEnhancementPipeline(enhancers = {}, run) {
+  const { logger, passes = [], skips = [], suiteFailures = [], summary = {}, framework, custom = [] } = run;
+
+  const { pipeline, errors } = createPipeline(enhancers, custom);
+  const result = await pipeline.run(run.failures, {
+    index: enhancers.index,
+    logger,
+    framework
+  });
+  errors.push(...result.errors);
+
+  for (const failure of result.failures) {
+    logger.logFailure(failure);
+  }
+
+  // Same enhancers (code context, stack, ...) for failures outside tests
+  if (suiteFailures.length > 0) {
+    const suiteResult = await pipeline.run(suiteFailures, { index: enhancers.index, logger, framework });
+    for (const error of suiteResult.errors) {
+      const entry = errors.find(existing => existing.name === error.name);
+      if (entry) {
+        entry.count += error.count;
+      } else {
+        errors.push(error);
+      }
+    }
+    for (const failure of suiteResult.failures) {
+      logger.logSuiteFailure(failure);
+    }
+  }
+
+  for (const pass of passes) {
+    logger.logPass(pass);
+  }
+
+  for (const skip of skips) {
+    logger.logSkip(skip);
+  }
+
+  // 6. Root cause analysis (on all enhanced failures)
+  if (enhancers.rootCause && logger.failures.length > 0) {
+    try {
+      const rootCauses = enhancers.rootCause.analyze(logger.failures);
+      if (rootCauses.length > 0) {
+        logger.metadata.rootCauses = rootCauses;
+      }
+    } catch (error) {
+      errors.push({ name: 'rootCause', count: 1, msg: error.message });
+    }
+  }
+
+  // 7. Persistent index tracking
+  if (enhancers.index) {
+    try {
+      await recordHistory(enhancers.index, logger, summary, framework);
+    } catch (error) {
+      errors.push({ name: 'persistentIndex', count: 1, msg: error.message });
+    }
+  }
+
+  if (errors.length > 0) {
+    logger.metadata.enhancerErrors = errors;
+  }
+}
+
+/**
+ * Record the run in the persistent index and attach history to failures
+ * @param {PersistentIndex} index - Persistent index
+ * @param {CompactLogger} logger - Logger holding compact results
+ * @param {Object} summary - Run summary
+ * @param {string} [framework] - Framework name
+ * @returns {Promise<void>}
+ */
+async function recordHistory(index, logger, summary, framework) {
+  // The last recorded run is the baseline for compareWithPrevious
+  if (logger.options.compareWithPrevious) {
+    const previous = await index.getLastRunFailures();
+    if (previous) {
+      logger.setBaseline(previous.map(result => ({
+        t: result.test_name,
+        id: result.test_id,
+        e: { type: result.error_type, msg: result.error_message }
+      })));
+    }
+  }
+
+  // Median durations before this run, for duration regressions in `slow`
+  logger.setDurationMedians(await index.getDurationMedians());
+
+  const runId = await index.recordTestRun(summary, {
+    framework,
+    dur: Date.now() - logger.startTime
+  });
+
+  if (!runId) return;
+
+  await index.recordTestResults(runId, [...logger.failures, ...logger.passes, ...logger.skips]);
+
+  // Enhance failures with historical data
+  for (const failure of logger.failures) {
+    const testId = logger.testKey(failure);
+    const history = await index.getTestHistory(testId, 5);
+    const flaky = await index.getFlakiness(testId);
+
+    if (history.length > 0 || flaky) {
+      failure.history = {
+        lastPassed: history.find(h => h.status === 'pass')?.timestamp || null,
+        failCount: history.filter(h => h.status === 'fail').length,
+        totalRuns: history.length,
+        flaky
+      };
+    }
+  }
+}
+
+export default runEnhancementPipeline;
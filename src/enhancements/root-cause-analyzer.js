@@ -59,7 +59,7 @@ export class RootCauseAnalyzer {
         .filter(f => !matched.has(f))
         .map(f => ({
           failure: f,
-          match: f.e?.msg ? f.e.msg.match(pattern.regex) : null
+          match: this.getRootMessage(f)?.match(pattern.regex) || null
         }))
         .filter(r => r.match);
 
@@ -89,6 +89,17 @@ export class RootCauseAnalyzer {
     return groups;
   }
 
+  /**
+   * Message to match patterns against: the innermost cause when the
+   * error wraps others (e.g. a service error around a TypeError)
+   * @param {Object} failure - Compact failure
+   * @returns {string|null} Message
+   */
+  getRootMessage(failure) {
+    const innermost = failure.e?.cause?.[failure.e.cause.length - 1];
+    return innermost?.msg || failure.e?.msg || null;
+  }
+
   /**
    * Get pattern matchers for common error types
    * @returns {Array} Pattern matcher configurations
@@ -9,12 +9,29 @@
  */
 
 import crypto from 'crypto';
+import { lcsPairs, unifiedDiff } from '../line-diff.js';
+
+// Strings longer than this (compactValue's cut-off) get the string diff
+const LONG_STRING = 100;
+
+// Structural diff limits: nesting depth compared, values visited in total,
+// and array sizes (items × items) aligned with LCS; beyond them values are
+// compared whole / not at all / by index
+const MAX_DIFF_DEPTH = 20;
+const MAX_DIFF_NODES = 10000;
+const MAX_ALIGN_CELLS = 250000;
+
+// Values serialized per array item when comparing items for alignment
+const MAX_KEY_NODES = 1000;
 
 export class SmartDiffEnhancer {
   constructor(options = {}) {
     this.maxDepth = options.maxDepth || 3;
     this.maxArrayItems = options.maxArrayItems || 5;
     this.maxObjectKeys = options.maxObjectKeys || 5;
+    this.stringContext = options.stringContext || 30;
+    this.maxDiffLines = options.maxDiffLines || 20;
+    this.maxChanges = options.maxChanges || 10;
   }
 
   /**
@@ -23,12 +40,19 @@ export class SmartDiffEnhancer {
    * @returns {Object} Enhanced failure with structured diff
    */
   enhance(failure) {
-    if (!failure.error) {
+    // Snapshot mismatches get a line diff of the serialized snapshot instead
+    if (!failure.error || failure.error.snapshot) {
       return failure;
     }
 
     const structured = this.extractStructuredData(failure.error);
 
+    // Nothing to compare: undefined on both sides, or serialized as "undefined"
+    const missing = value => value === undefined || value === 'undefined';
+    if (structured && missing(structured.actual) && missing(structured.expected)) {
+      return failure;
+    }
+
     if (!structured) {
       // Try to parse from error message
       const parsed = this.parseFromMessage(failure.error);
@@ -44,15 +68,31 @@ export class SmartDiffEnhancer {
       return failure;
     }
 
+    // Long or multi-line strings: show where they differ, not both truncated
+    if (this.isLongStringMismatch(structured)) {
+      return {
+        ...failure,
+        e: {
+          type: failure.error.type || 'Error',
+          msg: failure.error.message,
+          ...this.generateStringDiff(structured)
+        }
+      };
+    }
+
     // Build enhanced error object
     const enhanced = {
       type: failure.error.type || 'Error',
       msg: failure.error.message,
       actual: this.simplifyStructure(structured.actual),
-      expected: this.simplifyStructure(structured.expected),
-      hint: this.generateHint(structured)
+      expected: this.simplifyStructure(structured.expected)
     };
 
+    const hint = this.generateHint(structured);
+    if (hint) {
+      enhanced.hint = hint;
+    }
+
     // Generate structural diff if both are objects
     if (typeof structured.actual === 'object' && typeof structured.expected === 'object') {
       enhanced.diff = this.generateStructuralDiff(structured);
@@ -237,9 +277,83 @@ export class SmartDiffEnhancer {
   }
 
   /**
-   * Generate structural diff
+   * Whether actual/expected are two different strings too long to show whole
+   * @param {Object} structured - Structured data
+   * @returns {boolean}
+   */
+  isLongStringMismatch({ actual, expected }) {
+    if (typeof actual !== 'string' || typeof expected !== 'string' || actual === expected) {
+      return false;
+    }
+    return Math.max(actual.length, expected.length) > LONG_STRING
+      || actual.includes('\n') || expected.includes('\n');
+  }
+
+  /**
+   * String diff: a window around the first differing offset, plus the
+   * changed lines as a unified diff for multi-line strings
+   * @param {Object} structured - Structured data with string actual/expected
+   * @returns {Object} { expected, actual, hint, diff: { type, at, line, col, lines? } }
+   */
+  generateStringDiff({ actual, expected }) {
+    let at = 0;
+    while (at < actual.length && at < expected.length && actual[at] === expected[at]) at++;
+
+    const before = expected.slice(0, at);
+    const line = before.split('\n').length;
+    const col = at - before.lastIndexOf('\n');
+
+    const diff = { type: 'string', at, line, col };
+    if (actual.includes('\n') || expected.includes('\n')) {
+      diff.lines = unifiedDiff(expected, actual, { context: 1, maxLines: this.maxDiffLines }).lines;
+    }
+
+    return {
+      expected: this.stringWindow(expected, at),
+      actual: this.stringWindow(actual, at),
+      hint: this.generateStringHint(actual, expected, diff),
+      diff
+    };
+  }
+
+  /**
+   * Hint for a string mismatch
+   * @param {string} actual - Actual string
+   * @param {string} expected - Expected string
+   * @param {Object} diff - String diff
+   * @returns {string} Hint
+   */
+  generateStringHint(actual, expected, diff) {
+    const where = `offset ${diff.at} (line ${diff.line}, col ${diff.col})`;
+
+    if (actual.replace(/\s+/g, ' ').trim() === expected.replace(/\s+/g, ' ').trim()) {
+      return `Strings differ only in whitespace, first at ${where}`;
+    }
+    if (diff.at === expected.length) {
+      return `Got ${actual.length - expected.length} extra characters after the expected ${expected.length}`;
+    }
+    if (diff.at === actual.length) {
+      return `Got only the first ${actual.length} of ${expected.length} expected characters - output cut short?`;
+    }
+    return `Strings differ at ${where}; expected ${expected.length} chars, got ${actual.length}`;
+  }
+
+  /**
+   * Part of a string around an offset, with … where it was cut
+   * @param {string} value - String
+   * @param {number} at - Offset
+   * @returns {string} Window
+   */
+  stringWindow(value, at) {
+    const start = Math.max(0, at - this.stringContext);
+    const end = Math.min(value.length, at + this.stringContext);
+    return `${start > 0 ? '…' : ''}${value.slice(start, end)}${end < value.length ? '…' : ''}`;
+  }
+
+  /**
+   * Generate structural diff: every leaf-level change, with its path
    * @param {Object} structured - Structured data
-   * @returns {Object} Diff object
+   * @returns {Object} Diff object { type, lengthDiff?, changes, omitted?, truncated? }
    */
   generateStructuralDiff(structured) {
     const { actual, expected } = structured;
@@ -254,18 +368,210 @@ export class SmartDiffEnhancer {
 
     if (Array.isArray(actual) && Array.isArray(expected)) {
       diff.lengthDiff = actual.length - expected.length;
-    } else {
-      const actualKeys = Object.keys(actual);
-      const expectedKeys = Object.keys(expected);
+    }
 
-      diff.missing = expectedKeys.filter(k => !actualKeys.includes(k));
-      diff.extra = actualKeys.filter(k => !expectedKeys.includes(k));
-      diff.common = actualKeys.filter(k => expectedKeys.includes(k));
+    // Ancestors of the current value on each side, to stop at cycles
+    const state = { changes: [], visited: 0, truncated: false, expectedAncestors: new Set(), actualAncestors: new Set() };
+    this.collectChanges(expected, actual, '', state, 0);
+    const { changes } = state;
+
+    diff.changes = changes.slice(0, this.maxChanges).map(change => ({
+      path: change.path || '(root)',
+      ...(change.kind !== 'extra' && { expected: this.simplifyStructure(change.expected) }),
+      ...(change.kind !== 'missing' && { actual: this.simplifyStructure(change.actual) }),
+      kind: change.kind
+    }));
+    if (changes.length > this.maxChanges) {
+      diff.omitted = changes.length - this.maxChanges;
+    }
+    if (state.truncated) {
+      diff.truncated = true;
     }
 
     return diff;
   }
 
+  /**
+   * Walk expected and actual together, collecting leaf-level changes
+   * as { path, expected, actual, kind } (kind: changed, missing, extra, type)
+   * @param {*} expected - Expected value
+   * @param {*} actual - Actual value
+   * @param {string} path - Path so far, e.g. "data.items[3]"
+   * @param {Object} state - { changes, visited, truncated, expectedAncestors, actualAncestors }
+   * @param {number} depth - Current depth
+   */
+  collectChanges(expected, actual, path, state, depth) {
+    if (Object.is(expected, actual)) return;
+
+    // Shared references can still blow up the walk; stop after MAX_DIFF_NODES
+    if (state.visited >= MAX_DIFF_NODES) {
+      state.truncated = true;
+      return;
+    }
+    state.visited++;
+
+    const { changes } = state;
+
+    const expectedType = this.valueType(expected);
+    const actualType = this.valueType(actual);
+
+    if (expectedType !== actualType) {
+      changes.push({ path, expected, actual, kind: 'type' });
+      return;
+    }
+
+    if (expectedType !== 'array' && expectedType !== 'object') {
+      changes.push({ path, expected, actual, kind: 'changed' });
+      return;
+    }
+
+    // A value that is its own ancestor: the cycle was compared further up.
+    // Only a cycle on one side is a change.
+    const expectedCircular = state.expectedAncestors.has(expected);
+    const actualCircular = state.actualAncestors.has(actual);
+    if (expectedCircular || actualCircular) {
+      if (!expectedCircular || !actualCircular) {
+        changes.push({
+          path,
+          expected: expectedCircular ? '[Circular]' : expected,
+          actual: actualCircular ? '[Circular]' : actual,
+          kind: 'changed'
+        });
+      }
+      return;
+    }
+
+    if (depth >= MAX_DIFF_DEPTH) {
+      const key = this.valueKey(expected);
+      if (key === null || key !== this.valueKey(actual)) {
+        changes.push({ path, expected, actual, kind: 'changed' });
+      }
+      return;
+    }
+
+    state.expectedAncestors.add(expected);
+    state.actualAncestors.add(actual);
+
+    if (expectedType === 'array') {
+      this.collectArrayChanges(expected, actual, path, state, depth);
+    } else {
+      for (const key of Object.keys(expected)) {
+        const keyPath = this.joinPath(path, key);
+        if (!(key in actual)) {
+          changes.push({ path: keyPath, expected: expected[key], kind: 'missing' });
+        } else {
+          this.collectChanges(expected[key], actual[key], keyPath, state, depth + 1);
+        }
+      }
+      for (const key of Object.keys(actual)) {
+        if (!(key in expected)) {
+          changes.push({ path: this.joinPath(path, key), actual: actual[key], kind: 'extra' });
+        }
+      }
+    }
+
+    state.expectedAncestors.delete(expected);
+    state.actualAncestors.delete(actual);
+  }
+
+  /**
+   * Array changes. Items are aligned on equal values (longest common
+   * subsequence), so an inserted item shows as one `extra` instead of
+   * shifting every later index. Unmatched items between two aligned ones
+   * are compared pairwise; the rest are `missing` or `extra`. Paths use the
+   * actual index, except for missing items (expected index).
+   */
+  collectArrayChanges(expected, actual, path, state, depth) {
+    const { changes } = state;
+    const pairs = this.alignArrays(expected, actual);
+
+    let i = 0;
+    let j = 0;
+    for (const [matchedI, matchedJ] of [...pairs, [expected.length, actual.length]]) {
+      // Unmatched run before this pair: expected[i..matchedI), actual[j..matchedJ)
+      while (i < matchedI && j < matchedJ) {
+        this.collectChanges(expected[i++], actual[j], `${path}[${j}]`, state, depth + 1);
+        j++;
+      }
+      for (; i < matchedI; i++) {
+        changes.push({ path: `${path}[${i}]`, expected: expected[i], kind: 'missing' });
+      }
+      for (; j < matchedJ; j++) {
+        changes.push({ path: `${path}[${j}]`, actual: actual[j], kind: 'extra' });
+      }
+      i = matchedI + 1;
+      j = matchedJ + 1;
+    }
+  }
+
+  /**
+   * Index pairs of equal items (LCS); index by index for large arrays
+   * @param {Array} expected - Expected items
+   * @param {Array} actual - Actual items
+   * @returns {Array<Array<number>>} [[expectedIndex, actualIndex], ...] in order
+   */
+  alignArrays(expected, actual) {
+    // Items without a key (circular, too large) never match anything
+    const keyOf = item => this.valueKey(item) ?? Symbol('unkeyed');
+    const expectedKeys = expected.map(keyOf);
+    const actualKeys = actual.map(keyOf);
+
+    if (expected.length * actual.length > MAX_ALIGN_CELLS) {
+      const pairs = [];
+      for (let k = 0; k < Math.min(expected.length, actual.length); k++) {
+        if (expectedKeys[k] === actualKeys[k]) pairs.push([k, k]);
+      }
+      return pairs;
+    }
+
+    return lcsPairs(expectedKeys, actualKeys);
+  }
+
+  /**
+   * Type name used for comparison: null, array or typeof
+   * @param {*} value - Any value
+   * @returns {string} Type name
+   */
+  valueType(value) {
+    if (value === null) return 'null';
+    return Array.isArray(value) ? 'array' : typeof value;
+  }
+
+  /**
+   * Comparable key of a value (JSON, keeping undefined and the string/number
+   * difference). Strings are tagged `s:` and undefined is `u`, so no string
+   * value can stand in for a nested undefined.
+   * @param {*} value - Any value
+   * @returns {string|null} Key, or null for circular, BigInt or very large values
+   */
+  valueKey(value) {
+    if (value === undefined) return 'undefined';
+
+    let nodes = 0;
+    try {
+      return JSON.stringify(value, (key, item) => {
+        if (++nodes > MAX_KEY_NODES) throw new RangeError('too large');
+        if (item === undefined) return 'u';
+        return typeof item === 'string' ? `s:${item}` : item;
+      }) ?? String(value);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Append a key to a path: "a.b", or a["x-y"] for keys that aren't identifiers
+   * @param {string} path - Path so far
+   * @param {string} key - Object key
+   * @returns {string} Path
+   */
+  joinPath(path, key) {
+    if (/^[A-Za-z_$][\w$]*$/.test(key)) {
+      return path ? `${path}.${key}` : key;
+    }
+    return `${path}[${JSON.stringify(key)}]`;
+  }
+
   /**
    * Enhance multiple failures in batch
    * @param {Array} failures - Array of failures
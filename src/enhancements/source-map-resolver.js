@@ -0,0 +1,224 @@
+/**
+ * Source Map Resolver
+ *
+ * Maps positions in compiled or bundled files back to the original
+ * source (e.g. `.ts`), using the file's `sourceMappingURL` (inline
+ * `data:` URL or a `.map` file) or a sidecar `<file>.map`.
+ * Zero dependencies - decodes Source Map v3 mappings directly.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+const BASE64_VALUES = new Map([...BASE64].map((char, i) => [char, i]));
+
+// Last sourceMappingURL comment in a JS or CSS file
+const SOURCE_MAPPING_URL = /(?:\/\/[#@]\s*sourceMappingURL=([^\s'"]+)\s*$|\/\*[#@]\s*sourceMappingURL=([^\s*'"]+)\s*\*\/\s*$)/gm;
+
+export class SourceMapResolver {
+  constructor() {
+    // Generated file → parsed map (or null when it has none)
+    this.maps = new Map();
+  }
+
+  /**
+   * Map a generated position to its original source
+   * @param {string} file - Generated file path (or file:// URL)
+   * @param {number} line - Line (1-indexed)
+   * @param {number} [column] - Column (1-indexed, as in V8 stacks)
+   * @returns {Object|null} { file, line, column } or null without a mapping
+   */
+  resolve(file, line, column) {
+    if (!file || !line) return null;
+
+    const map = this.loadMap(this.toPath(file));
+    const segments = map?.lines[line - 1];
+    if (!segments || segments.length === 0) return null;
+
+    // Last segment starting at or before the column
+    const target = column ? column - 1 : 0;
+    let match = null;
+    for (const segment of segments) {
+      if (segment.column > target) break;
+      if (segment.source !== undefined) match = segment;
+    }
+    match = match || segments.find(segment => segment.source !== undefined);
+    if (!match) return null;
+
+    return {
+      file: map.sources[match.source],
+      line: match.line + 1,
+      column: match.sourceColumn + 1
+    };
+  }
+
+  /**
+   * Read a source file's lines, falling back to the map's `sourcesContent`
+   * when the original file isn't on disk
+   * @param {string} file - File path
+   * @returns {Array<string>|null} Lines or null
+   */
+  readLines(file) {
+    try {
+      return fs.readFileSync(this.toPath(file), 'utf8').split('\n');
+    } catch {
+      for (const map of this.maps.values()) {
+        const index = map?.sources.indexOf(file) ?? -1;
+        if (index !== -1 && typeof map.sourcesContent?.[index] === 'string') {
+          return map.sourcesContent[index].split('\n');
+        }
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Load and decode the source map of a generated file (cached)
+   * @param {string} file - Generated file path
+   * @returns {Object|null} { sources, sourcesContent, lines } or null
+   */
+  loadMap(file) {
+    if (this.maps.has(file)) {
+      return this.maps.get(file);
+    }
+
+    let map = null;
+    try {
+      const raw = this.readRawMap(file);
+      if (raw) {
+        map = this.parseMap(raw.json, raw.dir);
+      }
+    } catch {
+      // Unreadable or invalid map, use the generated position as-is
+      map = null;
+    }
+
+    this.maps.set(file, map);
+    return map;
+  }
+
+  /**
+   * Find the map for a file: sourceMappingURL comment, else `<file>.map`
+   * @param {string} file - Generated file path
+   * @returns {Object|null} { json, dir } - map JSON and the directory sources are relative to
+   */
+  readRawMap(file) {
+    let content;
+    try {
+      content = fs.readFileSync(file, 'utf8');
+    } catch {
+      return null;
+    }
+
+    // Earlier matches may be in bundled modules or strings; the last one applies
+    const match = [...content.matchAll(SOURCE_MAPPING_URL)].pop();
+    const url = match?.[1] || match?.[2];
+
+    if (url?.startsWith('data:')) {
+      const [header, data] = url.split(',', 2);
+      const json = header.endsWith(';base64')
+        ? Buffer.from(data, 'base64').toString('utf8')
+        : decodeURIComponent(data);
+      return { json, dir: path.dirname(file) };
+    }
+
+    const mapFile = url
+      ? (url.startsWith('file:') ? fileURLToPath(url) : path.resolve(path.dirname(file), decodeURIComponent(url)))
+      : `${file}.map`;
+
+    if (!fs.existsSync(mapFile)) return null;
+    return { json: fs.readFileSync(mapFile, 'utf8'), dir: path.dirname(mapFile) };
+  }
+
+  /**
+   * Parse a Source Map v3 (index maps with `sections` are not supported)
+   * @param {string} json - Map JSON
+   * @param {string} dir - Directory the sources are relative to
+   * @returns {Object|null} { sources, sourcesContent, lines }
+   */
+  parseMap(json, dir) {
+    const map = JSON.parse(json.replace(/^\)\]\}'[^\n]*\n/, ''));
+    if (map.version !== 3 || typeof map.mappings !== 'string') return null;
+
+    const root = map.sourceRoot || '';
+    const sources = (map.sources || []).map((source) => {
+      if (/^file:/.test(source)) return fileURLToPath(source);
+      if (/^[a-z][\w+.-]*:/i.test(source)) return source;  // webpack://, etc.
+      return path.resolve(dir, root, source);
+    });
+
+    return {
+      sources,
+      sourcesContent: map.sourcesContent || [],
+      lines: this.decodeMappings(map.mappings)
+    };
+  }
+
+  /**
+   * Decode the VLQ `mappings` string into segments per generated line
+   * @param {string} mappings - Source map mappings
+   * @returns {Array<Array<Object>>} [{ column, source, line, sourceColumn }] per line
+   */
+  decodeMappings(mappings) {
+    const lines = [];
+    // Source index, original line and column are relative across the whole string
+    let source = 0;
+    let line = 0;
+    let sourceColumn = 0;
+
+    for (const lineMappings of mappings.split(';')) {
+      const segments = [];
+      let column = 0;
+
+      for (const encoded of lineMappings.split(',')) {
+        if (!encoded) continue;
+
+        const values = this.decodeVlq(encoded);
+        column += values[0];
+
+        if (values.length >= 4) {
+          source += values[1];
+          line += values[2];
+          sourceColumn += values[3];
+          segments.push({ column, source, line, sourceColumn });
+        } else {
+          segments.push({ column });
+        }
+      }
+
+      lines.push(segments);
+    }
+
+    return lines;
+  }
+
+  decodeVlq(encoded) {
+    const values = [];
+    let value = 0;
+    let shift = 0;
+
+    for (const char of encoded) {
+      const digit = BASE64_VALUES.get(char);
+      if (digit === undefined) break;
+
+      value += (digit & 31) << shift;
+      if (digit & 32) {
+        shift += 5;
+      } else {
+        values.push(value & 1 ? -(value >>> 1) : value >>> 1);
+        value = 0;
+        shift = 0;
+      }
+    }
+
+    return values;
+  }
+
+  toPath(file) {
+    return file.startsWith('file:') ? fileURLToPath(file) : file;
+  }
+}
+
+export default SourceMapResolver;
@@ -3,6 +3,7 @@
  *
  * Enhances stack traces with actual source code lines and function names.
  * Zero coupling - just reads files referenced in stack trace.
+ * Frames in compiled code are mapped to the original source via source maps.
  *
  * Difficulty: 🟢 Easy
  * ROI: High
@@ -10,11 +11,13 @@
 
 import fs from 'fs';
 import path from 'path';
+import { SourceMapResolver } from './source-map-resolver.js';
 
 export class StackEnhancer {
   constructor(options = {}) {
     this.maxFrames = options.maxFrames || 5;
     this.maxCodeLength = options.maxCodeLength || 80;
+    this.sourceMaps = options.sourceMaps === false ? null : new SourceMapResolver();
   }
 
   /**
@@ -86,12 +89,17 @@ export class StackEnhancer {
       return null;
     }
 
-    const codeLine = this.readSourceLine(frame.file, frame.line);
-    const isTestFile = testFile && frame.file.includes(path.basename(testFile));
+    // Point at the original source (e.g. .ts) when the file has a source map
+    const original = this.sourceMaps?.resolve(frame.file, frame.line, frame.column);
+    const file = original?.file || frame.file;
+    const line = original?.line || frame.line;
+
+    const codeLine = this.readSourceLine(file, line);
+    const isTestFile = testFile && file.includes(path.basename(testFile));
 
     return {
       fn: frame.function || '<anonymous>',
-      at: `${this.shortenPath(frame.file)}:${frame.line}`,
+      at: `${this.shortenPath(file)}:${line}`,
       code: codeLine ? this.truncateCode(codeLine) : null,
       test: isTestFile
     };
@@ -105,9 +113,11 @@ export class StackEnhancer {
    */
   readSourceLine(file, line) {
     try {
-      const content = fs.readFileSync(file, 'utf8');
-      const lines = content.split('\n');
-      return lines[line - 1] || null;
+      // The resolver also reads `sourcesContent` for sources not on disk
+      const lines = this.sourceMaps
+        ? this.sourceMaps.readLines(file)
+        : fs.readFileSync(file, 'utf8').split('\n');
+      return lines?.[line - 1] || null;
     } catch (error) {
       // File not readable, gracefully degrade
       return null;
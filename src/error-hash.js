@@ -0,0 +1,42 @@
+/**
+ * Error Hashing
+ *
+ * Stable hashes for error messages, so the same error from different
+ * tests or runs (different line numbers, ids, strings) compares equal.
+ */
+
+import crypto from 'crypto';
+
+/**
+ * Normalize an error message to detect similar errors
+ * @param {string} message - Error message
+ * @returns {string} Normalized message
+ */
+export function normalizeErrorMessage(message) {
+  return message
+    .replace(/:\d+:\d+/g, ':X:X')      // Remove line:col
+    .replace(/\d+/g, 'N')              // Replace numbers
+    .replace(/'[^']*'/g, 'STR')        // Replace string literals
+    .replace(/"[^"]*"/g, 'STR')        // Replace double-quoted strings
+    .replace(/`[^`]*`/g, 'STR');       // Replace backtick strings
+}
+
+/**
+ * Create stable hash from error pattern
+ * @param {Object} error - Compact error object ({ msg })
+ * @returns {string|null} MD5 hash
+ */
+export function hashError(error) {
+  if (!error || !error.msg) return null;
+
+  return crypto.createHash('md5').update(normalizeErrorMessage(error.msg)).digest('hex');
+}
+
+/**
+ * Short form of the error hash for reports
+ * @param {Object} error - Compact error object ({ msg })
+ * @returns {string|null} First 8 hex chars of the hash
+ */
+export function shortErrorHash(error) {
+  return hashError(error)?.substring(0, 8) || null;
+}
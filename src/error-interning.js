@@ -0,0 +1,99 @@
+/**
+ * Error Interning
+ *
+ * Moves errors repeated in a compact report into one `errors` table
+ * keyed by error hash, so cascading failures don't repeat the same
+ * `e` block. A failure's `e` becomes the key, or `{ ref, ...fields }`
+ * when some fields differ from the table entry (e.g. other E/R values).
+ */
+
+import { shortErrorHash } from './error-hash.js';
+
+// Report keys holding failure lists (regular and compareWithPrevious reports,
+// suite/file-level failures first so maxTokens omits them last)
+export const FAILURE_LISTS = ['suiteFails', 'fails', 'newFails', 'changedError'];
+
+/**
+ * Intern the errors of a compact report
+ * @param {Object} report - Compact report (not mutated)
+ * @returns {Object} Report with an `errors` table and failures pointing into it
+ */
+export function internErrors(report) {
+  const errorRef = (e) => shortErrorHash(e) || shortErrorHash({ msg: e.type }) || 'none';
+  const hasError = (failure) => failure.e && typeof failure.e === 'object';
+
+  // Only errors shared by several failures save anything; singletons stay inline
+  const counts = new Map();
+  for (const key of FAILURE_LISTS) {
+    for (const failure of report[key] || []) {
+      if (!hasError(failure)) continue;
+      const ref = errorRef(failure.e);
+      counts.set(ref, (counts.get(ref) || 0) + 1);
+    }
+  }
+
+  const errors = {};
+  const interned = { ...report };
+
+  for (const key of FAILURE_LISTS) {
+    if (!report[key]) continue;
+
+    interned[key] = report[key].map((failure) => {
+      if (!hasError(failure)) return failure;
+
+      const ref = errorRef(failure.e);
+      if (counts.get(ref) < 2) return failure;
+
+      if (!errors[ref]) {
+        errors[ref] = { ...failure.e, n: 0 };
+      }
+      errors[ref].n++;
+
+      // Keep only what differs from the first error with this hash
+      const own = {};
+      for (const [field, value] of Object.entries(failure.e)) {
+        if (JSON.stringify(value) !== JSON.stringify(errors[ref][field])) {
+          own[field] = value;
+        }
+      }
+
+      return { ...failure, e: Object.keys(own).length > 0 ? { ref, ...own } : ref };
+    });
+  }
+
+  return Object.keys(errors).length > 0 ? { ...interned, errors } : report;
+}
+
+/**
+ * Resolve a failure's `e` against the `errors` table
+ * @param {string|Object} e - Failure error (key, { ref, ... } or inline)
+ * @param {Object} [errors] - Report `errors` table
+ * @returns {Object} Full error object
+ */
+export function resolveError(e, errors) {
+  if (!errors) return e;
+
+  const ref = typeof e === 'string' ? e : e?.ref;
+  if (!ref || !errors[ref]) return e;
+
+  const { n, ...shared } = errors[ref];
+  const { ref: _ref, ...own } = typeof e === 'string' ? {} : e;
+  return { ...shared, ...own };
+}
+
+/**
+ * Undo internErrors(): put the full `e` back on every failure
+ * @param {Object} report - Report with an `errors` table
+ * @returns {Object} Report without the table
+ */
+export function expandErrors(report) {
+  if (!report?.errors) return report;
+
+  const { errors, ...expanded } = report;
+  for (const key of FAILURE_LISTS) {
+    if (!expanded[key]) continue;
+    expanded[key] = expanded[key].map(failure => ({ ...failure, e: resolveError(failure.e, errors) }));
+  }
+
+  return expanded;
+}
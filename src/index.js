@@ -9,3 +9,11 @@ export { CompactLogger } from './compact-logger.js';
 export { BaseAdapter } from './adapters/base-adapter.js';
 export { VitestAdapter, VitestReporter } from './adapters/vitest-adapter.js';
 export { JestAdapter, JestReporter } from './adapters/jest-adapter.js';
+export { MochaAdapter, MochaReporter } from './adapters/mocha-adapter.js';
+export { PlaywrightAdapter, PlaywrightReporter } from './adapters/playwright-adapter.js';
+export { NodeTestAdapter, NodeTestReporter, createNodeTestReporter } from './adapters/node-test-adapter.js';
+export { encodeReport, REPORT_FORMATS } from './report-formats.js';
+export { internErrors, expandErrors } from './error-interning.js';
+export { unifiedDiff } from './line-diff.js';
+export { compactSnapshot } from './snapshot-diff.js';
+export { createTokenCounter, BpeTokenCounter, HeuristicTokenCounter } from './tokenizers/token-counter.js';
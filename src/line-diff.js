@@ -0,0 +1,153 @@
+/**
+ * Line Diff
+ *
+ * Minimal line-level diff (longest common subsequence) rendered as
+ * unified-diff hunks: only the changed lines, with a few lines of
+ * context around them. Used for snapshot mismatches; smart diff reuses
+ * the LCS to align arrays.
+ */
+
+// Above this many line pairs the changed middle is shown as replaced whole
+const MAX_LCS_CELLS = 4000000;
+
+/**
+ * Line operations turning `expected` into `actual`
+ * @param {Array<string>} expected - Expected lines
+ * @param {Array<string>} actual - Actual lines
+ * @returns {Array<Object>} [{ op: ' ' | '-' | '+', line }]
+ */
+export function diffLines(expected, actual) {
+  // Common prefix and suffix need no LCS
+  let start = 0;
+  while (start < expected.length && start < actual.length && expected[start] === actual[start]) {
+    start++;
+  }
+
+  let expectedEnd = expected.length;
+  let actualEnd = actual.length;
+  while (expectedEnd > start && actualEnd > start && expected[expectedEnd - 1] === actual[actualEnd - 1]) {
+    expectedEnd--;
+    actualEnd--;
+  }
+
+  return [
+    ...expected.slice(0, start).map(line => ({ op: ' ', line })),
+    ...diffMiddle(expected.slice(start, expectedEnd), actual.slice(start, actualEnd)),
+    ...expected.slice(expectedEnd).map(line => ({ op: ' ', line }))
+  ];
+}
+
+function diffMiddle(removed, added) {
+  if (removed.length * added.length > MAX_LCS_CELLS) {
+    return [
+      ...removed.map(line => ({ op: '-', line })),
+      ...added.map(line => ({ op: '+', line }))
+    ];
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  for (const [matchedI, matchedJ] of [...lcsPairs(removed, added), [removed.length, added.length]]) {
+    while (i < matchedI) ops.push({ op: '-', line: removed[i++] });
+    while (j < matchedJ) ops.push({ op: '+', line: added[j++] });
+    if (matchedI < removed.length) ops.push({ op: ' ', line: removed[i] });
+    i++;
+    j++;
+  }
+
+  return ops;
+}
+
+/**
+ * Index pairs of equal items in a longest common subsequence of two lists
+ * (items compared with ===). Quadratic in time and memory; callers cap the size.
+ * @param {Array} a - First list
+ * @param {Array} b - Second list
+ * @returns {Array<Array<number>>} [[indexInA, indexInB], ...] in order
+ */
+export function lcsPairs(a, b) {
+  // lengths[i][j]: LCS length of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const pairs = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      pairs.push([i++, j++]);
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return pairs;
+}
+
+/**
+ * Unified diff of two texts, changed hunks only
+ * @param {string|Array<string>} expected - Expected text (or lines)
+ * @param {string|Array<string>} actual - Actual text (or lines)
+ * @param {Object} [options]
+ * @param {number} [options.context=3] - Unchanged lines kept around each change
+ * @param {number} [options.maxLines] - Max output lines; the rest is counted in a last "… N more lines"
+ * @returns {Object} { lines, added, removed, hunks, ops } - lines like '@@ -3,2 +3,2 @@', ' kept', '-old', '+new'
+ */
+export function unifiedDiff(expected, actual, { context = 3, maxLines = Infinity } = {}) {
+  const toLines = text => (Array.isArray(text) ? text : String(text).split('\n'));
+  const ops = diffLines(toLines(expected), toLines(actual));
+
+  // Group changes closer than 2 × context lines into one hunk
+  const changed = ops.map((entry, index) => (entry.op === ' ' ? -1 : index)).filter(index => index !== -1);
+  const ranges = [];
+  for (const index of changed) {
+    const last = ranges[ranges.length - 1];
+    if (last && index - last.end <= context * 2 + 1) {
+      last.end = index;
+    } else {
+      ranges.push({ start: index, end: index });
+    }
+  }
+
+  // Line numbers (1-indexed) in expected and actual before each op
+  const positions = [];
+  let expectedLine = 1;
+  let actualLine = 1;
+  for (const entry of ops) {
+    positions.push({ expectedLine, actualLine });
+    if (entry.op !== '+') expectedLine++;
+    if (entry.op !== '-') actualLine++;
+  }
+
+  const lines = [];
+  for (const range of ranges) {
+    const from = Math.max(0, range.start - context);
+    const to = Math.min(ops.length - 1, range.end + context);
+    const hunk = ops.slice(from, to + 1);
+    const expectedCount = hunk.filter(entry => entry.op !== '+').length;
+    const actualCount = hunk.filter(entry => entry.op !== '-').length;
+
+    lines.push(`@@ -${positions[from].expectedLine},${expectedCount} +${positions[from].actualLine},${actualCount} @@`);
+    lines.push(...hunk.map(entry => `${entry.op}${entry.line}`));
+  }
+
+  const limited = lines.length > maxLines
+    ? [...lines.slice(0, Math.max(0, maxLines - 1)), `… ${lines.length - Math.max(0, maxLines - 1)} more lines`]
+    : lines;
+
+  return {
+    lines: limited,
+    added: ops.filter(entry => entry.op === '+').length,
+    removed: ops.filter(entry => entry.op === '-').length,
+    hunks: ranges.length,
+    ops
+  };
+}
@@ -0,0 +1,366 @@
+/**
+ * Report Formats
+ *
+ * Encoders for the compact report. All of them take the same in-memory
+ * report object ({ sum, fails, topFails } or the compareWithPrevious
+ * shape) and return the file contents as a string.
+ *
+ * - json: minified JSON (default)
+ * - yaml: line-oriented, one failure per block, no braces or quotes
+ * - toon: tables with one header and one row per entry for uniform
+ *   arrays such as `fails` (nested fields become dotted columns)
+ * - markdown: human-readable digest for PR comments
+ */
+
+import { expandErrors } from './error-interning.js';
+
+// Number of stack frames shown per failure in the Markdown digest
+const MARKDOWN_FRAMES = 3;
+
+// TOON strings that would be read back as a number, boolean or null
+const TOON_LITERAL = /^(?:true|false|null|[-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?)$/i;
+
+/**
+ * Built-in formats: file extension and encoder
+ */
+export const REPORT_FORMATS = {
+  json: { ext: '.json', encode: (report) => JSON.stringify(report) },
+  yaml: { ext: '.yaml', encode: (report) => encodeYaml(report) },
+  toon: { ext: '.toon', encode: (report) => encodeToon(report) },
+  markdown: { ext: '.md', encode: (report) => encodeMarkdown(report) }
+};
+
+/**
+ * Encode a report in one of the built-in formats
+ * @param {Object} report - Compact report
+ * @param {string} format - Format name (json, yaml, toon, markdown)
+ * @returns {string} Encoded report
+ */
+export function encodeReport(report, format) {
+  const writer = REPORT_FORMATS[format];
+  if (!writer) {
+    throw new Error(`Unknown report format '${format}' (expected ${Object.keys(REPORT_FORMATS).join(', ')})`);
+  }
+  return writer.encode(report);
+}
+
+// ===== YAML =====
+
+/**
+ * Line-oriented encoding (a YAML subset). Strings are only quoted when
+ * they would otherwise be read as another type or break the line.
+ * @param {Object} report - Compact report
+ * @returns {string} Encoded report
+ */
+export function encodeYaml(report) {
+  return yamlLines(report, 0, true).join('\n') + '\n';
+}
+
+function yamlLines(value, indent, topLevel = false) {
+  const pad = ' '.repeat(indent);
+  const lines = [];
+
+  if (Array.isArray(value)) {
+    value.forEach((item, i) => {
+      // Blank line between list entries of complex objects (one block per failure)
+      if (i > 0 && isComplex(item)) lines.push('');
+
+      if (isPlainObject(item) && Object.keys(item).length > 0) {
+        const [first, ...rest] = yamlLines(item, indent + 2);
+        lines.push(`${pad}- ${first.trimStart()}`, ...rest);
+      } else if (Array.isArray(item) && item.length > 0) {
+        lines.push(`${pad}-`, ...yamlLines(item, indent + 2));
+      } else {
+        lines.push(`${pad}- ${yamlScalar(item)}`);
+      }
+    });
+    return lines;
+  }
+
+  for (const [key, item] of Object.entries(value)) {
+    if (item === undefined) continue;
+    if (topLevel && lines.length > 0 && isComplex(item)) lines.push('');
+
+    if ((isPlainObject(item) && Object.keys(item).length > 0) || (Array.isArray(item) && item.length > 0)) {
+      lines.push(`${pad}${yamlKey(key)}:`, ...yamlLines(item, indent + 2));
+    } else {
+      lines.push(`${pad}${yamlKey(key)}: ${yamlScalar(item)}`);
+    }
+  }
+
+  return lines;
+}
+
+function yamlKey(key) {
+  return /^[\w.$-]+$/.test(key) ? key : JSON.stringify(key);
+}
+
+function yamlScalar(value) {
+  if (value === null || value === undefined) return 'null';
+  if (Array.isArray(value)) return '[]';
+  if (isPlainObject(value)) return '{}';
+  if (typeof value !== 'string') return String(value);
+
+  // Plain scalars can't be empty, look like other types, contain ": " / " #",
+  // start with an indicator character or span lines
+  const needsQuotes = value === ''
+    || value !== value.trim()
+    || /^(?:true|false|null|yes|no|on|off|~|[-+]?(?:\d[\d_]*)?\.?\d+(?:e[-+]?\d+)?|0x[\da-f]+|\.inf|\.nan)$/i.test(value)
+    || /^[-?:,[\]{}#&*!|>'"%@`]/.test(value)
+    || /: | #|:$|[\n\r\t]/.test(value);
+
+  return needsQuotes ? JSON.stringify(value) : value;
+}
+
+// ===== TOON =====
+
+/**
+ * Token-oriented encoding: `key: value` lines like YAML, but arrays of
+ * objects become a table with the column names given once, e.g.
+ *
+ *   fails[2]{t,f,e.type,e.msg}:
+ *     login works,"auth.test.js:12",AssertionError,expected 401 to be 200
+ *
+ * Fields of nested objects become dotted columns (`e.type`); anything
+ * deeper, and arrays, are written as inline JSON in their cell.
+ * @param {Object} report - Compact report
+ * @returns {string} Encoded report
+ */
+export function encodeToon(report) {
+  return toonLines(report, 0).join('\n') + '\n';
+}
+
+function toonLines(object, indent) {
+  const pad = ' '.repeat(indent);
+  const lines = [];
+
+  for (const [key, value] of Object.entries(object)) {
+    if (value === undefined) continue;
+
+    if (Array.isArray(value)) {
+      if (value.length > 0 && value.every(isPlainObject)) {
+        const rows = value.map(item => flatten(item));
+        const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+        lines.push(`${pad}${key}[${value.length}]{${columns.join(',')}}:`);
+        for (const row of rows) {
+          lines.push(`${pad}  ${columns.map(column => toonCell(row[column])).join(',')}`);
+        }
+      } else {
+        lines.push(`${pad}${key}[${value.length}]: ${value.map(toonCell).join(',')}`);
+      }
+    } else if (isPlainObject(value)) {
+      lines.push(`${pad}${key}:`, ...toonLines(value, indent + 2));
+    } else {
+      lines.push(`${pad}${key}: ${toonCell(value)}`);
+    }
+  }
+
+  return lines;
+}
+
+/**
+ * Flatten one level of nested objects into dotted keys
+ * @param {Object} object - Object to flatten
+ * @returns {Object} Flat object
+ */
+function flatten(object) {
+  const out = {};
+  for (const [key, value] of Object.entries(object)) {
+    if (isPlainObject(value) && Object.keys(value).length > 0) {
+      for (const [inner, innerValue] of Object.entries(value)) {
+        if (innerValue !== undefined) out[`${key}.${inner}`] = innerValue;
+      }
+    } else if (value !== undefined) {
+      out[key] = value;
+    }
+  }
+  return out;
+}
+
+function toonCell(value) {
+  if (value === undefined) return '';
+  if (value === null) return 'null';
+  if (typeof value === 'object') return JSON.stringify(value);  // Brackets delimit it
+  if (typeof value !== 'string') return String(value);
+
+  // Quoted when it would read back as another type, or holds a delimiter
+  // (`,` between cells, `:` after keys) or a character that starts a value
+  const needsQuotes = value === ''
+    || value !== value.trim()
+    || TOON_LITERAL.test(value)
+    || /^[[{-]|[,:"\\\n\r\t]/.test(value);
+
+  return needsQuotes ? JSON.stringify(value) : value;
+}
+
+// ===== Markdown =====
+
+/**
+ * Markdown digest: summary line, failure table and per-failure details
+ * @param {Object} report - Compact report
+ * @returns {string} Encoded report
+ */
+export function encodeMarkdown(input) {
+  const report = expandErrors(input);
+  const { sum = {} } = report;
+  const lines = sum.tot === undefined && sum.err !== undefined
+    ? [`## Runtime errors: ${sum.err} unique, ${sum.occ} total`, '']
+    : [`## Test report: ${sum.fai ?? 0} of ${sum.tot ?? 0} failed${sum.flk ? `, ${sum.flk} flaky` : ''}${sum.skp ? `, ${sum.skp} skipped` : ''}${sum.sfa ? `, ${sum.sfa} outside tests` : ''} (${sum.rate ?? 0}% pass rate)`, ''];
+
+  if (report.partial) {
+    const { signal, running } = report.partial;
+    const where = running ? ` while running \`${[running.f, running.t].filter(Boolean).join(' > ')}\`` : '';
+    lines.push(`**Partial report:** the run stopped (${signal})${where}.`, '');
+  }
+
+  if (report.newFails) {
+    const { newFails, fixed = [], stillFailing = { n: 0 }, changedError = [] } = report;
+    lines.push(`**Since last run:** ${newFails.length} new, ${fixed.length} fixed, ${changedError.length} changed error, ${stillFailing.n} still failing`, '');
+    if (fixed.length > 0) {
+      lines.push(`Fixed: ${fixed.map(name => `\`${name}\``).join(', ')}`, '');
+    }
+  }
+
+  if (report.topFails?.length > 0) {
+    lines.push(`Errors: ${report.topFails.map(t => `${t.type} ×${t.count}`).join(', ')}`, '');
+  }
+
+  const sections = report.newFails
+    ? [['New failures', report.newFails], ['Changed errors', report.changedError || []]]
+    : [['Failures', report.fails || []]];
+
+  // Failures outside tests (file load, hooks, unhandled) come first
+  sections.unshift(['Outside tests', report.suiteFails || []]);
+
+  for (const [title, fails] of sections) {
+    if (fails.length === 0) continue;
+
+    lines.push(`### ${title}`, '', '| Test | Location | Error |', '| --- | --- | --- |');
+    for (const failure of fails) {
+      const name = failure.k ? `${failure.k}: ${failure.t}` : failure.t;
+      lines.push(`| ${mdCell(name)} | \`${mdCell(failure.f)}\` | ${mdCell(`${failure.e?.type}: ${failure.e?.msg}`)} |`);
+    }
+    lines.push('');
+
+    for (const failure of fails) {
+      lines.push(...markdownDetails(failure));
+    }
+  }
+
+  if (report.flakyPasses?.length > 0) {
+    lines.push('### Passed on retry', '');
+    for (const pass of report.flakyPasses) {
+      const errors = (pass.att || []).map(errorLink).join('; ');
+      lines.push(`- ${mdCell(pass.t)} (\`${mdCell(pass.f)}\`) after ${pass.retry} ${pass.retry === 1 ? 'retry' : 'retries'}${errors ? ` — ${errors}` : ''}`);
+    }
+    lines.push('');
+  }
+
+  if (report.slow?.length > 0) {
+    lines.push('### Slow tests', '');
+    for (const test of report.slow) {
+      const regression = test.med ? ` — was ${test.med}ms (median, ×${(test.d / test.med).toFixed(1)})` : '';
+      lines.push(`- ${mdCell(test.t)} (\`${mdCell(test.f)}\`) ${test.d}ms${regression}`);
+    }
+    lines.push('');
+  }
+
+  if (report.skips?.length > 0) {
+    lines.push('### Skipped', '');
+    for (const skip of report.skips) {
+      lines.push(`- ${skip.s === 'todo' ? 'todo: ' : ''}${mdCell(skip.t)} (\`${mdCell(skip.f)}\`)${skip.why ? ` — ${mdCell(skip.why)}` : ''}`);
+    }
+    lines.push('');
+  }
+
+  if (report.runtime?.length > 0) {
+    lines.push('### Runtime errors', '', '| Error | Count | First seen | Last seen | At |', '| --- | --- | --- | --- | --- |');
+    for (const entry of report.runtime) {
+      lines.push(`| ${mdCell(`${entry.e.type}: ${entry.e.msg}`)} | ${entry.n} | ${entry.first} | ${entry.last} | ${entry.stk ? `\`${mdCell(entry.stk[0])}\`` : ''} |`);
+    }
+    lines.push('');
+  }
+
+  if (report.trim) {
+    const omitted = report.trim.omit ? `; ${report.trim.omit} failure(s) omitted` : '';
+    lines.push(`_Trimmed to fit the token budget: dropped ${report.trim.drop.join(', ') || 'nothing'}${omitted}._`, '');
+  }
+
+  return lines.join('\n');
+}
+
+function markdownDetails(failure) {
+  const e = failure.e || {};
+  const details = [];
+
+  if (failure.was) details.push(`- was: ${failure.was.type}: ${failure.was.msg}`);
+  if (e.cause) details.push(`- caused by: ${e.cause.map(errorLink).join(' → ')}`);
+  if (e.errs) details.push(`- errors: ${e.errs.map(errorLink).join('; ')}`);
+  if (e.more) details.push(`- also: ${e.more.map(errorLink).join('; ')}`);
+  if (e.hint) details.push(`- hint: ${e.hint}`);
+  if ('E' in e || 'R' in e) details.push(`- expected \`${e.E}\`, received \`${e.R}\``);
+  if ('expected' in e || 'actual' in e) {
+    details.push(`- expected \`${JSON.stringify(e.expected)}\`, actual \`${JSON.stringify(e.actual)}\``);
+  }
+  for (const change of e.diff?.changes || []) {
+    details.push(`- \`${change.path}\` ${describeChange(change)}`);
+  }
+  if (e.diff?.omitted) details.push(`- ${e.diff.omitted} more change(s)`);
+  if (failure.snap) {
+    details.push(`- snapshot: ${failure.snap.key ? `\`${failure.snap.key}\` in ` : ''}${failure.snap.file}`);
+    details.push(`- snapshot hint: ${failure.snap.hint}`);
+  }
+  if (failure.code?.fail) details.push(`- code: \`${failure.code.fail}\``);
+  if (failure.grp) details.push(`- same root cause: ${failure.grp.also.length} more (${failure.grp.pattern})`);
+
+  const frames = Array.isArray(failure.stk)
+    ? failure.stk.slice(0, MARKDOWN_FRAMES).map(frame => `${frame.fn} ${frame.at}`)
+    : failure.stk ? [failure.stk] : [];
+
+  const log = Array.isArray(failure.log) ? failure.log : [];
+  const diffLines = failure.snap?.diff || e.diff?.lines || [];
+  if (details.length === 0 && frames.length === 0 && log.length === 0) return [];
+
+  const block = ['<details>', `<summary>${escapeHtml(failure.t)}</summary>`, '', ...details];
+  if (diffLines.length > 0) {
+    block.push('', '```diff', ...diffLines, '```');
+  }
+  if (frames.length > 0) {
+    block.push('', '```', ...frames, '```');
+  }
+  if (log.length > 0) {
+    block.push('', 'Console:', '', '```', ...log, '```');
+  }
+  block.push('</details>', '');
+  return block;
+}
+
+function describeChange(change) {
+  if (change.kind === 'missing') return `missing (expected \`${JSON.stringify(change.expected)}\`)`;
+  if (change.kind === 'extra') return `extra \`${JSON.stringify(change.actual)}\``;
+  return `${change.kind}: \`${JSON.stringify(change.expected)}\` → \`${JSON.stringify(change.actual)}\``;
+}
+
+function errorLink(link) {
+  return `${link.type}: ${link.msg}${link.at ? ` (\`${link.at}\`)` : ''}`;
+}
+
+function mdCell(value) {
+  return String(value ?? '').replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// ===== Helpers =====
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isComplex(value) {
+  return isPlainObject(value) && Object.keys(value).length > 1;
+}
+
+export default encodeReport;
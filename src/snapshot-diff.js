@@ -0,0 +1,106 @@
+/**
+ * Snapshot Diff
+ *
+ * Compacts a snapshot mismatch (toMatchSnapshot, toMatchInlineSnapshot)
+ * into its key, snapshot file, the changed hunks of the serialized
+ * snapshot and a hint whether the change looks intentional.
+ */
+
+import { unifiedDiff } from './line-diff.js';
+
+// Longest value shown in a value drift hint
+const MAX_DRIFT_VALUE = 40;
+
+/**
+ * Compact snapshot mismatch
+ * @param {Object} snapshot - Adapter snapshot info
+ * @param {string} [snapshot.key] - Snapshot name, e.g. "math > adds 1"
+ * @param {string} [snapshot.file] - Snapshot file (the test file for inline snapshots)
+ * @param {boolean} [snapshot.inline] - Inline snapshot
+ * @param {string} [snapshot.expected] - Stored snapshot (undefined when none was written)
+ * @param {string} [snapshot.actual] - Received value, serialized
+ * @param {Object} [options]
+ * @param {number} [options.context=2] - Unchanged lines around each change
+ * @param {number} [options.maxLines=20] - Max diff lines
+ * @returns {Object} { key, file, inline?, diff?, hint }
+ */
+export function compactSnapshot(snapshot, { context = 2, maxLines = 20 } = {}) {
+  const compact = {
+    ...(snapshot.key && { key: snapshot.key }),
+    ...(snapshot.file && { file: snapshot.file }),
+    ...(snapshot.inline && { inline: true })
+  };
+
+  if (snapshot.expected === undefined || snapshot.expected === null) {
+    compact.hint = 'No stored snapshot and it was not written (CI mode) - run with -u locally and commit it';
+    return compact;
+  }
+
+  const diff = unifiedDiff(String(snapshot.expected), String(snapshot.actual ?? ''), { context, maxLines });
+  if (diff.lines.length > 0) {
+    compact.diff = diff.lines;
+  }
+  compact.hint = snapshotHint(diff);
+
+  return compact;
+}
+
+/**
+ * Guess whether a snapshot change was intended from the shape of the diff
+ * @param {Object} diff - unifiedDiff() result
+ * @returns {string} Hint
+ */
+export function snapshotHint({ ops, added, removed, hunks }) {
+  if (added === 0 && removed === 0) {
+    return 'Serialized snapshots are equal - check for whitespace or serializer differences';
+  }
+
+  if (hunks === 1 && added === 1 && removed === 1) {
+    const before = ops.find(entry => entry.op === '-').line;
+    const after = ops.find(entry => entry.op === '+').line;
+    return `Single value drift (${describeDrift(before, after)}) - likely a regression; update (-u) only if the new value is right`;
+  }
+
+  if (removed === 0) {
+    return `Only added lines (${added}) - new output; update (-u) if it was added on purpose`;
+  }
+
+  if (added === 0) {
+    return `Only removed lines (${removed}) - output went missing; likely a regression unless removed on purpose`;
+  }
+
+  // Most of the snapshot replaced, rather than a few values
+  const total = Math.max(ops.filter(entry => entry.op !== '+').length, ops.filter(entry => entry.op !== '-').length);
+  if (Math.max(added, removed) * 2 >= total) {
+    return `Whole block changed (${removed} → ${added} lines) - looks like an intentional output change; review and update with -u`;
+  }
+
+  return `${removed + added} changed lines in ${hunks} place(s) - check each hunk; update (-u) only if all are intended`;
+}
+
+/**
+ * "key: old → new" for two versions of one line
+ * @param {string} before - Stored line
+ * @param {string} after - Received line
+ * @returns {string} Drift description
+ */
+function describeDrift(before, after) {
+  let prefix = 0;
+  while (prefix < before.length && prefix < after.length && before[prefix] === after[prefix]) prefix++;
+  // Don't split a word or number: back up to its start
+  while (prefix > 0 && /\w/.test(before[prefix - 1])) prefix--;
+
+  let suffix = 0;
+  while (
+    suffix < before.length - prefix && suffix < after.length - prefix
+    && before[before.length - 1 - suffix] === after[after.length - 1 - suffix]
+  ) suffix++;
+  while (suffix > 0 && /\w/.test(before[before.length - suffix])) suffix--;
+
+  const shorten = value => (value.length > MAX_DRIFT_VALUE ? `${value.slice(0, MAX_DRIFT_VALUE)}...` : value);
+  const oldValue = shorten(before.slice(prefix, before.length - suffix).trim());
+  const newValue = shorten(after.slice(prefix, after.length - suffix).trim());
+  const key = before.slice(0, prefix).match(/["']?([\w$.-]+)["']?\s*[:=]\s*["']?$/)?.[1];
+
+  return `${key ? `${key}: ` : ''}${oldValue} → ${newValue}`;
+}
@@ -0,0 +1,176 @@
+/**
+ * Offline BPE Tokenizer
+ *
+ * Byte-pair encoding with a bundled vocabulary, used to count tokens
+ * without network access or native dependencies.
+ *
+ * The bundled vocabulary (cl100k-base.gz) is OpenAI's cl100k_base
+ * encoding from tiktoken (MIT licensed, see cl100k-base.LICENSE), stored
+ * as one base64 token per line in rank order. Files in tiktoken's own `<base64> <rank>` format
+ * work too, gzipped or not, as long as they use cl100k pre-tokenization.
+ */
+
+import fs from 'fs';
+import zlib from 'zlib';
+import { fileURLToPath } from 'url';
+
+const DEFAULT_VOCAB = fileURLToPath(new URL('./cl100k-base.gz', import.meta.url));
+
+// cl100k_base pre-tokenization pattern
+const PRETOKENIZE = /'(?:[sdmt]|ll|ve|re)|[^\r\n\p{L}\p{N}]?\p{L}+|\p{N}{1,3}| ?[^\s\p{L}\p{N}]+[\r\n]*|\s*[\r\n]+|\s+(?!\S)|\s+/giu;
+
+// Pieces seen in reports repeat a lot (keys, punctuation, paths)
+const CACHE_LIMIT = 50000;
+
+export class BpeTokenizer {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.vocabPath] - Vocabulary file (defaults to the bundled cl100k_base)
+   */
+  constructor(options = {}) {
+    this.vocabPath = options.vocabPath || DEFAULT_VOCAB;
+    this.ranks = this.loadVocab(this.vocabPath);
+    this.cache = new Map();
+  }
+
+  /**
+   * Load the vocabulary into a map of latin1 byte string → rank
+   * @param {string} vocabPath - Vocabulary file
+   * @returns {Map<string, number>} Ranks
+   */
+  loadVocab(vocabPath) {
+    let data = fs.readFileSync(vocabPath);
+    if (data[0] === 0x1f && data[1] === 0x8b) {
+      data = zlib.gunzipSync(data);
+    }
+
+    const ranks = new Map();
+    let next = 0;
+    for (const line of data.toString('utf8').split('\n')) {
+      if (!line) continue;
+      const [token, rank] = line.split(' ');
+      ranks.set(Buffer.from(token, 'base64').toString('latin1'), rank !== undefined ? parseInt(rank) : next);
+      next++;
+    }
+
+    return ranks;
+  }
+
+  /**
+   * Count the tokens in a string
+   * @param {string} text - Text to count
+   * @returns {number} Token count
+   */
+  count(text) {
+    let total = 0;
+    for (const [piece] of String(text).matchAll(PRETOKENIZE)) {
+      total += this.countPiece(piece);
+    }
+    return total;
+  }
+
+  countPiece(piece) {
+    let count = this.cache.get(piece);
+    if (count !== undefined) return count;
+
+    const bytes = Buffer.from(piece, 'utf8').toString('latin1');
+    count = this.ranks.has(bytes) ? 1 : this.merge(bytes);
+
+    if (this.cache.size >= CACHE_LIMIT) {
+      this.cache.clear();
+    }
+    this.cache.set(piece, count);
+    return count;
+  }
+
+  /**
+   * Merge the lowest-ranked adjacent pair until no pair is in the vocabulary.
+   * Parts form a linked list and candidate pairs sit in a min-heap ordered
+   * by (rank, position), the same order as rescanning after every merge but
+   * O(n log n), so long pieces (base64, minified code) stay fast.
+   * @param {string} bytes - Piece as a latin1 byte string
+   * @returns {number} Number of tokens left
+   */
+  merge(bytes) {
+    const length = bytes.length;
+    const parts = Array.from(bytes);
+    const next = new Int32Array(length);
+    const prev = new Int32Array(length);
+    // Bumped when a part changes or is merged away, to skip stale heap entries
+    const version = new Uint32Array(length);
+    for (let i = 0; i < length; i++) {
+      next[i] = i + 1 < length ? i + 1 : -1;
+      prev[i] = i - 1;
+    }
+
+    const heap = [];
+    const addPair = (left) => {
+      const right = left === -1 ? -1 : next[left];
+      if (right === -1) return;
+      const rank = this.ranks.get(parts[left] + parts[right]);
+      if (rank !== undefined) {
+        heapPush(heap, [rank, left, version[left], right, version[right]]);
+      }
+    };
+    for (let i = 0; i < length - 1; i++) {
+      addPair(i);
+    }
+
+    let count = length;
+    while (heap.length > 0) {
+      const [, left, leftVersion, right, rightVersion] = heapPop(heap);
+      if (version[left] !== leftVersion || version[right] !== rightVersion || next[left] !== right) continue;
+
+      parts[left] += parts[right];
+      version[left]++;
+      version[right]++;
+      next[left] = next[right];
+      if (next[right] !== -1) prev[next[right]] = left;
+      count--;
+
+      addPair(prev[left]);
+      addPair(left);
+    }
+
+    return count;
+  }
+}
+
+// Min-heap of [rank, position, ...] entries
+
+function heapLess(a, b) {
+  return a[0] < b[0] || (a[0] === b[0] && a[1] < b[1]);
+}
+
+function heapPush(heap, entry) {
+  heap.push(entry);
+  let i = heap.length - 1;
+  while (i > 0) {
+    const parent = (i - 1) >> 1;
+    if (!heapLess(heap[i], heap[parent])) break;
+    [heap[i], heap[parent]] = [heap[parent], heap[i]];
+    i = parent;
+  }
+}
+
+function heapPop(heap) {
+  const top = heap[0];
+  const last = heap.pop();
+  if (heap.length > 0) {
+    heap[0] = last;
+    let i = 0;
+    for (;;) {
+      const left = 2 * i + 1;
+      const right = left + 1;
+      let smallest = i;
+      if (left < heap.length && heapLess(heap[left], heap[smallest])) smallest = left;
+      if (right < heap.length && heapLess(heap[right], heap[smallest])) smallest = right;
+      if (smallest === i) break;
+      [heap[i], heap[smallest]] = [heap[smallest], heap[i]];
+      i = smallest;
+    }
+  }
+  return top;
+}
+
+export default BpeTokenizer;
@@ -0,0 +1,82 @@
+/**
+ * Token Counters
+ *
+ * Pluggable token counting for report sizes and token budgets.
+ *
+ * @usage
+ * const counter = createTokenCounter();            // bundled BPE (default)
+ * const counter = createTokenCounter('heuristic'); // 1 token ≈ 4 characters
+ * const counter = createTokenCounter((text) => myTokenizer.encode(text).length);
+ * counter.count('{"sum":{"tot":12}}');
+ */
+
+import { BpeTokenizer } from './bpe-tokenizer.js';
+
+/**
+ * Character-based estimate: 1 token ≈ 4 characters.
+ * Fast and dependency free, but undercounts punctuation-heavy JSON.
+ */
+export class HeuristicTokenCounter {
+  constructor() {
+    this.name = 'heuristic';
+  }
+
+  count(text) {
+    return Math.ceil(String(text).length / 4);
+  }
+}
+
+/**
+ * Counts with the offline BPE tokenizer (cl100k_base vocabulary)
+ */
+export class BpeTokenCounter {
+  /**
+   * @param {Object} [options] - BpeTokenizer options ({ vocabPath })
+   */
+  constructor(options = {}) {
+    this.name = 'bpe';
+    this.tokenizer = new BpeTokenizer(options);
+  }
+
+  count(text) {
+    return this.tokenizer.count(text);
+  }
+}
+
+// Loading the vocabulary takes a moment, so reporters share one instance
+let sharedBpe = null;
+
+/**
+ * Create a token counter
+ * @param {string|Function|Object} [counter='bpe'] - 'bpe', 'heuristic',
+ *   a function (text) => number, or an object with count(text)
+ * @returns {Object} Counter with { name, count(text) }
+ */
+export function createTokenCounter(counter = 'bpe') {
+  if (typeof counter === 'function') {
+    return { name: 'custom', count: counter };
+  }
+
+  if (typeof counter?.count === 'function') {
+    return { name: counter.name || 'custom', count: (text) => counter.count(text) };
+  }
+
+  if (counter === 'heuristic') {
+    return new HeuristicTokenCounter();
+  }
+
+  if (counter !== 'bpe') {
+    console.warn(`Unknown token counter '${counter}', using heuristic`);
+    return new HeuristicTokenCounter();
+  }
+
+  try {
+    sharedBpe = sharedBpe || new BpeTokenCounter();
+    return sharedBpe;
+  } catch (error) {
+    console.warn(`BPE token counter unavailable, using heuristic: ${error.message}`);
+    return new HeuristicTokenCounter();
+  }
+}
+
+export default createTokenCounter;
@@ -0,0 +1,18 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BpeTokenizer } from '../src/tokenizers/bpe-tokenizer.js';
+
+const tokenizer = new BpeTokenizer();
+
+test('counts cl100k tokens', () => {
+  assert.equal(tokenizer.count('hello world'), 2);
+  assert.equal(tokenizer.count(''), 0);
+});
+
+test('counts a long single piece quickly', { timeout: 5000 }, () => {
+  // One pre-tokenized piece, like a base64 blob or a minified line
+  const blob = 'QUJD'.repeat(5000);
+
+  const count = tokenizer.count(blob);
+  assert.ok(count > 0 && count < blob.length);
+});
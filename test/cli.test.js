@@ -0,0 +1,126 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ReportCli, parseArgs } from '../src/cli.js';
+import { PersistentIndex } from '../src/enhancements/persistent-index.js';
+
+// Optional dependency; its native module may also be built for another Node version
+const Database = await import('better-sqlite3')
+  .then((mod) => {
+    new mod.default(':memory:').close();
+    return mod.default;
+  })
+  .catch(() => null);
+
+const report = {
+  sum: { tot: 3, pas: 1, fai: 2, rate: 33 },
+  fails: [
+    {
+      t: 'rejects bad email',
+      id: 'src/auth.test.js > signup > rejects bad email',
+      f: 'auth.test.js:12',
+      e: { type: 'AssertionError', msg: 'expected true to be false', E: 'false', R: 'true' },
+      code: { fail: 'expect(valid).toBe(false);' }
+    },
+    { t: 'loads user', f: 'user.test.js:4', e: { type: 'TypeError', msg: "Cannot read properties of undefined (reading 'id')" } }
+  ],
+  topFails: [{ type: 'AssertionError', count: 1 }, { type: 'TypeError', count: 1 }],
+  meta: {
+    rootCauses: [{
+      pattern: 'Null reference',
+      confidence: 0.8,
+      count: 1,
+      suggestion: 'Check the user fixture',
+      affectedTests: ['loads user']
+    }]
+  }
+};
+
+const setup = (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-compact-cli-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(dir, 'debug-report.json'), JSON.stringify(report));
+  return { dir, cli: new ReportCli({ dir, tokenizer: 'heuristic' }) };
+};
+
+test('summary prints counts, errors, files and the top root cause', (t) => {
+  const { cli } = setup(t);
+
+  assert.equal(cli.summary(), [
+    'tests 3 | pass 1 | fail 2 | rate 33%',
+    'errors: AssertionError ×1, TypeError ×1',
+    'files: auth.test.js ×1, user.test.js ×1',
+    'root cause: Null reference (80%, 1 tests)',
+    'fix: Check the user fixture'
+  ].join('\n'));
+});
+
+test('fails filters by file', (t) => {
+  const { cli } = setup(t);
+
+  assert.equal(cli.fails({ file: 'auth' }), 'auth.test.js:12 rejects bad email — AssertionError: expected true to be false');
+  assert.equal(cli.fails({ file: 'other' }), 'No failures in other');
+});
+
+test('show finds a failure by name and prints its detail', async (t) => {
+  const { cli } = setup(t);
+  const output = await cli.show('bad email');
+
+  assert.match(output, /^rejects bad email\nid src\/auth\.test\.js > signup > rejects bad email\nat auth\.test\.js:12/);
+  assert.match(output, /expected false \| received true/);
+  assert.match(output, /> expect\(valid\)\.toBe\(false\);/);
+  assert.equal(await cli.show('nothing'), 'No failure matching "nothing"');
+});
+
+test('output stops at the token budget', (t) => {
+  const { dir } = setup(t);
+  const output = new ReportCli({ dir, tokenizer: 'heuristic', budget: 12 }).summary();
+
+  assert.match(output, /more line\(s\) over budget/);
+  assert.ok(output.split('\n').length < 5);
+});
+
+test('flaky falls back to the report without a history database', async (t) => {
+  const { cli } = setup(t);
+
+  assert.match(await cli.flaky(), /No history database/);
+});
+
+test('parseArgs splits the command, positionals and flags', () => {
+  assert.deepEqual(parseArgs(['show', 'loads', 'user', '--budget=200', '--dir', 'debug', '--help']), {
+    command: 'show',
+    args: ['loads', 'user'],
+    flags: { budget: '200', dir: 'debug', help: true }
+  });
+});
+
+test('queries never migrate a history database from an older version', { skip: !Database && 'better-sqlite3 not installed' }, async (t) => {
+  const { dir, cli } = setup(t);
+  const dbPath = path.join(dir, '.test-index', 'history.db');
+
+  fs.mkdirSync(path.dirname(dbPath));
+  const old = new Database(dbPath);
+  old.exec(`
+    CREATE TABLE runs (id INTEGER PRIMARY KEY AUTOINCREMENT, timestamp TEXT NOT NULL, git_hash TEXT, git_branch TEXT,
+      total_tests INTEGER, passed INTEGER, failed INTEGER, duration_ms INTEGER, metadata TEXT);
+    CREATE TABLE results (id INTEGER PRIMARY KEY AUTOINCREMENT, run_id INTEGER NOT NULL, test_name TEXT NOT NULL,
+      file TEXT NOT NULL, status TEXT NOT NULL, duration_ms INTEGER, error_type TEXT, error_message TEXT,
+      error_hash TEXT, stack_trace TEXT);
+    INSERT INTO runs (timestamp) VALUES (datetime('now', '-90 days'));
+    INSERT INTO results (run_id, test_name, file, status) VALUES (1, 'adds', 'math.test.js', 'pass');
+  `);
+  old.close();
+  const before = fs.readFileSync(dbPath);
+
+  await assert.rejects(cli.flaky(), /written by an older version/);
+  assert.match(await cli.show('loads user'), /history: .*older version/);
+  assert.deepEqual(fs.readFileSync(dbPath), before);
+
+  // Once the reporter has migrated it, queries read it
+  const index = new PersistentIndex(dir, { retentionDays: 0 });
+  await index.initialize();
+  index.close();
+  assert.equal(await cli.flaky(), 'No flaky tests in the last 7 day(s)');
+});
@@ -0,0 +1,248 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { CompactLogger } from '../src/compact-logger.js';
+
+const failures = (count) => Array.from({ length: count }, (_, i) => ({
+  t: `test ${i}`,
+  f: `file${i % 7}.test.js:${i}`,
+  e: { type: 'AssertionError', msg: `expected ${i} to be ${i + 1}` }
+}));
+
+test('fitToBudget keeps the longest prefix of failures that fits', { timeout: 20000 }, () => {
+  const logger = new CompactLogger({ tokenCounter: 'heuristic' });
+  const report = { sum: { tot: 1000, pas: 0, fai: 1000, rate: 0 }, fails: failures(1000) };
+  const measure = (value) => logger.estimateTokens(JSON.stringify(value));
+
+  const trimmed = logger.fitToBudget(report, 3000);
+  const kept = trimmed.fails.length;
+
+  assert.ok(measure(trimmed) <= 3000);
+  assert.equal(trimmed.trim.omit, 1000 - kept);
+  assert.ok(measure({ ...trimmed, fails: report.fails.slice(0, kept + 1), trim: { ...trimmed.trim, omit: 999 - kept } }) > 3000);
+  assert.equal(report.fails.length, 1000);
+});
+
+test('fitToBudget omits suiteFails last', () => {
+  const logger = new CompactLogger({ tokenCounter: 'heuristic' });
+  const report = { sum: { tot: 50, pas: 0, fai: 50, rate: 0 }, suiteFails: failures(2), fails: failures(50) };
+
+  // Room for the suite failures but not for one more failure
+  const budget = logger.estimateTokens(JSON.stringify({ ...report, fails: [], trim: { drop: [], omit: 50 } })) + 2;
+  const trimmed = logger.fitToBudget(report, budget);
+
+  assert.equal(trimmed.fails.length, 0);
+  assert.equal(trimmed.suiteFails.length, 2);
+});
+
+test('compactFailure leaves out E/R for errors without values', () => {
+  const logger = new CompactLogger({ tokenCounter: 'heuristic' });
+
+  const plain = logger.compactFailure({ name: 'hook', location: { file: 'a.test.js', line: 1 }, error: { type: 'Error', message: 'boom' } });
+  const assertion = logger.compactFailure({ name: 't', location: { file: 'a.test.js', line: 2 }, error: { type: 'AssertionError', message: 'x', expected: 1 } });
+
+  assert.deepEqual(plain.e, { type: 'Error', msg: 'boom' });
+  assert.deepEqual([assertion.e.E, assertion.e.R], ['1', 'undefined']);
+});
+
+test('findSlowTests lists only tests over slowThreshold and regressions by default', () => {
+  const logger = new CompactLogger({ tokenCounter: 'heuristic' });
+  const passes = [
+    { t: 'fast', f: 'a.test.js', d: 1 },
+    { t: 'export', f: 'a.test.js', d: 1500 },
+    { t: 'sync', f: 'a.test.js', d: 400 }
+  ];
+  logger.setDurationMedians(new Map([['a.test.js > sync', 50]]));
+
+  assert.deepEqual(logger.findSlowTests(passes), [
+    { t: 'export', f: 'a.test.js', d: 1500 },
+    { t: 'sync', f: 'a.test.js', d: 400, med: 50 }
+  ]);
+  assert.equal(new CompactLogger({ tokenCounter: 'heuristic', slowTests: 3 }).findSlowTests(passes).length, 3);
+});
+
+test('compareWithPrevious reports only the state changes since the last run', async (t) => {
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-compact-compare-'));
+  t.after(() => fs.rmSync(outputDir, { recursive: true, force: true }));
+
+  const fail = (name, message) => ({ name, location: { file: 'a.test.js', line: 1 }, error: { type: 'Error', message } });
+  const pass = (name) => ({ name, location: { file: 'a.test.js' }, duration: 1 });
+  const run = async (log) => {
+    const logger = new CompactLogger({ outputDir, tokenCounter: 'heuristic', compareWithPrevious: true });
+    log(logger);
+    const metadata = await logger.finalize();
+    return { metadata, compact: JSON.parse(fs.readFileSync(metadata.compactPath, 'utf8')) };
+  };
+
+  await run((logger) => {
+    logger.logFailure(fail('same', 'timeout'));
+    logger.logFailure(fail('changes', 'expected 1'));
+    logger.logFailure(fail('fixed', 'boom'));
+  });
+
+  const { metadata, compact } = await run((logger) => {
+    logger.logFailure(fail('same', 'timeout'));
+    logger.logFailure(fail('changes', 'null reference'));
+    logger.logFailure(fail('new', 'boom'));
+    logger.logPass(pass('fixed'));
+  });
+
+  assert.deepEqual(metadata.changes, { newFails: 1, fixed: 1, stillFailing: 1, changedError: 1 });
+  assert.equal(compact.fails, undefined);
+  assert.deepEqual(compact.newFails.map(f => f.t), ['new']);
+  assert.deepEqual(compact.fixed, ['fixed']);
+  assert.equal(compact.stillFailing.n, 1);
+  assert.deepEqual(Object.values(compact.stillFailing.h), [1]);
+  assert.deepEqual(compact.changedError.map(f => [f.t, f.e.msg, f.was.msg]), [['changes', 'null reference', 'expected 1']]);
+});
+
+test('stream appends each result as it is logged and finalize counts them', async (t) => {
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-compact-stream-'));
+  t.after(() => fs.rmSync(outputDir, { recursive: true, force: true }));
+
+  const logger = new CompactLogger({ outputDir, tokenCounter: 'heuristic', stream: true });
+  const streamPath = path.join(outputDir, 'debug-stream.ndjson');
+  const records = () => fs.readFileSync(streamPath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  const failure = { name: 'adds', location: { file: 'math.test.js', line: 3 }, error: { type: 'Error', message: 'boom' } };
+
+  logger.streamFailure(failure);
+  assert.deepEqual(records().map(record => record.s), ['start', 'fail']);
+
+  // Only streamed, never logged at the end
+  logger.streamPass({ name: 'subtracts', location: { file: 'math.test.js' }, duration: 2 });
+  // Logged after enhancement: not streamed twice
+  logger.logFailure(failure);
+
+  const metadata = await logger.finalize();
+
+  assert.deepEqual(records().map(record => [record.s, record.t]), [
+    ['start', undefined], ['fail', 'adds'], ['pass', 'subtracts'], ['end', undefined]
+  ]);
+  assert.equal(metadata.failures, 1);
+  assert.deepEqual(JSON.parse(fs.readFileSync(metadata.compactPath, 'utf8')).sum, { tot: 2, pas: 1, fai: 1, rate: 50 });
+});
+
+test('crashSafe writes a partial report when the process is killed', { timeout: 20000 }, (t) => {
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-compact-crash-'));
+  t.after(() => fs.rmSync(outputDir, { recursive: true, force: true }));
+
+  const loggerUrl = new URL('../src/compact-logger.js', import.meta.url).href;
+  const child = spawnSync(process.execPath, ['--input-type=module', '-e', `
+    import { CompactLogger } from ${JSON.stringify(loggerUrl)};
+    const logger = new CompactLogger({ outputDir: ${JSON.stringify(outputDir)}, tokenCounter: 'heuristic', crashSafe: true });
+    logger.logFailure({ name: 'adds', location: { file: 'math.test.js', line: 3 }, error: { type: 'Error', message: 'boom' } });
+    logger.streamPass({ name: 'subtracts', location: { file: 'math.test.js' }, duration: 2 });
+    logger.setRunningTest({ name: 'divides', location: { file: 'math.test.js' } });
+    setTimeout(() => {}, 10000);
+    process.kill(process.pid, 'SIGTERM');
+  `], { encoding: 'utf8', timeout: 15000 });
+
+  // Default behaviour kept: the process still dies from the signal
+  assert.equal(child.signal, 'SIGTERM', child.stderr);
+
+  const compact = JSON.parse(fs.readFileSync(path.join(outputDir, 'debug-compact.json'), 'utf8'));
+  const full = JSON.parse(fs.readFileSync(path.join(outputDir, 'debug-report.json'), 'utf8'));
+  assert.deepEqual(compact.partial, { signal: 'SIGTERM', running: { t: 'divides', f: 'math.test.js' } });
+  assert.equal(full.meta.partial, true);
+  assert.deepEqual(compact.sum, { tot: 2, pas: 1, fai: 1, rate: 50 });
+  assert.deepEqual(fs.readdirSync(outputDir).filter(file => file.endsWith('.tmp')), []);
+});
+
+test('writePartialReport runs once and never after finalize', async (t) => {
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-compact-crash-'));
+  t.after(() => fs.rmSync(outputDir, { recursive: true, force: true }));
+
+  const logger = new CompactLogger({ outputDir, tokenCounter: 'heuristic' });
+  logger.logFailure({ name: 'adds', location: { file: 'math.test.js', line: 3 }, error: { type: 'Error', message: 'boom' } });
+  const metadata = await logger.finalize();
+
+  logger.writePartialReport({ signal: 'exit' });
+  const compact = JSON.parse(fs.readFileSync(metadata.compactPath, 'utf8'));
+  assert.equal(compact.partial, undefined);
+  assert.equal(JSON.parse(fs.readFileSync(metadata.fullPath, 'utf8')).meta.partial, undefined);
+});
+
+test('logError counts errors with the same normalized message in one entry', async (t) => {
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-compact-runtime-'));
+  t.after(() => fs.rmSync(outputDir, { recursive: true, force: true }));
+
+  const logger = new CompactLogger({ outputDir, tokenCounter: 'heuristic', maxRuntimeErrors: 2 });
+  const first = logger.logError(new TypeError('user 12 not found'), { route: '/users/12' });
+  const second = logger.logError(new TypeError('user 47 not found'), { route: '/users/47' });
+  logger.logError('plain string');
+  logger.logError(new RangeError('dropped, over maxRuntimeErrors'));
+
+  assert.equal(first, second);
+  const metadata = await logger.finalize();
+  const { runtime, sum } = JSON.parse(fs.readFileSync(metadata.compactPath, 'utf8'));
+  assert.deepEqual(runtime.map(entry => [entry.e.type, entry.n]), [['TypeError', 2], ['Error', 1]]);
+  assert.deepEqual(runtime[0].ctx, { route: '/users/47' });
+  assert.deepEqual([sum.err, sum.occ], [2, 3]);
+});
+
+// Runs `body` in a child process with a captureProcessErrors logger; returns the child and its compact report
+function runWithErrorHooks(outputDir, body, execArgv = []) {
+  const loggerUrl = new URL('../src/compact-logger.js', import.meta.url).href;
+  fs.rmSync(path.join(outputDir, 'debug-compact.json'), { force: true });
+  const child = spawnSync(process.execPath, [...execArgv, '--input-type=module', '-e', `
+    import { CompactLogger } from ${JSON.stringify(loggerUrl)};
+    const logger = new CompactLogger({ outputDir: ${JSON.stringify(outputDir)}, tokenCounter: 'heuristic', captureProcessErrors: true });
+    ${body}
+  `], { encoding: 'utf8', timeout: 15000, env: { ...process.env, NODE_OPTIONS: '' } });
+  const compact = JSON.parse(fs.readFileSync(path.join(outputDir, 'debug-compact.json'), 'utf8'));
+  return { child, compact };
+}
+
+test('captureProcessErrors keeps the crash for uncaught errors and rejections', { timeout: 40000 }, (t) => {
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-compact-hooks-'));
+  t.after(() => fs.rmSync(outputDir, { recursive: true, force: true }));
+
+  const thrown = runWithErrorHooks(outputDir, "setTimeout(() => { throw new Error('thrown'); });");
+  assert.equal(thrown.child.status, 1);
+  assert.deepEqual(thrown.compact.runtime.map(entry => [entry.e.msg, entry.ctx.src]), [['thrown', 'uncaughtException']]);
+
+  const rejected = runWithErrorHooks(outputDir, "Promise.reject(new Error('rejected')); setTimeout(() => console.log('still running'), 100);");
+  assert.equal(rejected.child.status, 1);
+  assert.doesNotMatch(rejected.child.stdout, /still running/);
+  assert.match(rejected.child.stderr, /rejected/);
+  assert.deepEqual(rejected.compact.runtime.map(entry => [entry.e.msg, entry.ctx.src, entry.n]), [['rejected', 'unhandledRejection', 1]]);
+});
+
+test('captureProcessErrors follows --unhandled-rejections', { timeout: 40000 }, (t) => {
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-compact-hooks-'));
+  t.after(() => fs.rmSync(outputDir, { recursive: true, force: true }));
+  const body = "Promise.reject(new Error('rejected')); setTimeout(() => console.log('still running'), 100);";
+
+  for (const mode of ['warn', 'none']) {
+    const { child, compact } = runWithErrorHooks(outputDir, body, [`--unhandled-rejections=${mode}`]);
+    assert.equal(child.status, 0, mode);
+    assert.match(child.stdout, /still running/, mode);
+    assert.equal(compact.runtime[0].e.msg, 'rejected', mode);
+  }
+
+  const { child } = runWithErrorHooks(outputDir, body, ['--unhandled-rejections=warn-with-error-code']);
+  assert.equal(child.status, 1);
+  assert.match(child.stdout, /still running/);
+
+  const strict = runWithErrorHooks(outputDir, body, ['--unhandled-rejections=strict']);
+  assert.equal(strict.child.status, 1);
+  assert.deepEqual(strict.compact.runtime.map(entry => [entry.e.msg, entry.ctx.src, entry.n]), [['rejected', 'unhandledRejection', 1]]);
+});
+
+test('flaky passes are listed and counted in flk', async (t) => {
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-compact-flaky-'));
+  t.after(() => fs.rmSync(outputDir, { recursive: true, force: true }));
+
+  const logger = new CompactLogger({ outputDir, tokenCounter: 'heuristic' });
+  logger.logPass({ name: 'fetches', location: { file: 'net.test.js' }, duration: 30, retries: 1, attempts: [{ name: 'Error', message: 'timeout' }] });
+  logger.logPass({ name: 'parses', location: { file: 'net.test.js' }, duration: 2 });
+  const metadata = await logger.finalize();
+
+  const compact = JSON.parse(fs.readFileSync(metadata.compactPath, 'utf8'));
+  assert.equal(metadata.flakyPasses, 1);
+  assert.deepEqual(compact.sum, { tot: 2, pas: 2, fai: 0, rate: 100, flk: 1 });
+  assert.deepEqual(compact.flakyPasses.map(pass => [pass.t, pass.retry, pass.att[0].msg]), [['fetches', 1, 'timeout']]);
+});
@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { internErrors, expandErrors } from '../src/error-interning.js';
+
+const fail = (t, msg, extra = {}) => ({ t, f: 'user.test.js:1', e: { type: 'TypeError', msg, ...extra } });
+
+test('a report with only unique errors comes out unchanged', () => {
+  const report = {
+    sum: { tot: 2, pas: 0, fai: 2, rate: 0 },
+    fails: [fail('loads user', "Cannot read properties of undefined (reading 'id')"), fail('saves', 'expected 1 to be 2')]
+  };
+
+  assert.equal(internErrors(report), report);
+});
+
+test('repeated errors are interned and singletons stay inline', () => {
+  const message = "Cannot read properties of undefined (reading 'id')";
+  const report = {
+    suiteFails: [fail('beforeAll', message)],
+    fails: [fail('loads user', message), fail('loads profile', message, { E: 1 }), fail('saves', 'timeout')]
+  };
+
+  const interned = internErrors(report);
+  const [ref] = Object.keys(interned.errors);
+
+  assert.deepEqual(interned.errors, { [ref]: { type: 'TypeError', msg: message, n: 3 } });
+  assert.equal(interned.suiteFails[0].e, ref);
+  assert.deepEqual(interned.fails.map(failure => failure.e), [ref, { ref, E: 1 }, report.fails[2].e]);
+  assert.deepEqual(expandErrors(interned), report);
+});
@@ -0,0 +1,147 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { CompactLogger } from '../src/compact-logger.js';
+import { JestAdapter, JestReporter } from '../src/adapters/jest-adapter.js';
+
+const setup = (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jest-reporter-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  t.mock.method(console, 'log', () => {});
+
+  const file = path.join(dir, 'user.test.js');
+  fs.writeFileSync(file, "test('loads user', () => {\n  const user = load();\n  expect(user).toEqual({ id: 1, name: 'a' });\n});\n");
+
+  const message = 'Error: expect(received).toEqual(expected) // deep equality\n\n' +
+    'Expected: {"id": 1, "name": "a"}\nReceived: {"id": 2, "name": "a"}\n' +
+    `    at Object.<anonymous> (${file}:3:16)`;
+
+  const results = {
+    numTotalTests: 2,
+    numPassedTests: 1,
+    numFailedTests: 1,
+    testResults: [{
+      testFilePath: file,
+      testResults: [
+        {
+          title: 'loads user',
+          fullName: 'loads user',
+          ancestorTitles: [],
+          status: 'failed',
+          failureMessages: [message],
+          failureDetails: [{ matcherResult: { expected: { id: 1, name: 'a' }, actual: { id: 2, name: 'a' } } }],
+          location: { line: 1 }
+        },
+        { title: 'ok', fullName: 'ok', ancestorTitles: [], status: 'passed', duration: 3 }
+      ]
+    }]
+  };
+
+  const report = async (enhancements) => {
+    const outputDir = path.join(dir, 'out');
+    const reporter = new JestReporter({}, { outputDir, tokenCounter: 'heuristic', enhancements });
+    await reporter.onRunComplete(new Set(), results);
+    return JSON.parse(fs.readFileSync(path.join(outputDir, 'debug-compact.json'), 'utf8'));
+  };
+
+  return { report };
+};
+
+test('JestReporter runs the enhancement pipeline on its failures', async (t) => {
+  const { report } = setup(t);
+  const [failure] = (await report({ coverage: false, links: false })).fails;
+
+  assert.equal(failure.code.fail, "expect(user).toEqual({ id: 1, name: 'a' });");
+  assert.deepEqual(failure.e.diff.changes, [{ path: 'id', expected: 1, actual: 2, kind: 'changed' }]);
+  assert.equal(failure.stk[0].code, failure.code.fail);
+});
+
+test('JestReporter keeps the enhancements its options leave out enabled', async (t) => {
+  const { report } = setup(t);
+  const [failure] = (await report({ diff: false, coverage: false, links: false })).fails;
+
+  assert.equal(failure.e.diff, undefined);
+  assert.deepEqual([failure.e.E, failure.e.R], ['{"id":1,"name":"a"}', '{"id":2,"name":"a"}']);
+  assert.ok(failure.code);
+});
+
+test('console output goes to the test declared closest above the line that logged it', () => {
+  const adapter = new JestAdapter(new CompactLogger({ tokenCounter: 'heuristic' }));
+  const file = '/project/user.test.js';
+  const failed = (title, line) => ({ title, fullName: title, ancestorTitles: [], status: 'failed', failureMessages: ['Error: boom'], location: { line } });
+
+  const { failures } = adapter.processResults({
+    testResults: [{
+      testFilePath: file,
+      console: [
+        { type: 'log', message: 'loading', origin: `    at Object.<anonymous> (${file}:2:11)` },
+        { type: 'warn', message: 'no profile', origin: `    at Object.<anonymous> (${file}:7:11)` },
+        { type: 'log', message: 'from a helper', origin: '    at helper (/project/helper.js:1:1)' }
+      ],
+      testResults: [failed('loads user', 1), failed('loads profile', 6), { title: 'ok', status: 'passed', location: { line: 10 } }]
+    }]
+  });
+
+  assert.deepEqual(failures.map(failure => adapter.logger.compactFailure(failure).log), [['loading'], ['warn: no profile']]);
+});
+
+test('pending, skipped and todo tests are reported and counted in skp', () => {
+  const adapter = new JestAdapter(new CompactLogger({ tokenCounter: 'heuristic' }));
+  const results = {
+    numTotalTests: 4,
+    numPassedTests: 1,
+    numFailedTests: 0,
+    numPendingTests: 2,
+    numTodoTests: 1,
+    testResults: [{
+      testFilePath: '/project/user.test.js',
+      testResults: [
+        { title: 'loads user', ancestorTitles: [], status: 'passed' },
+        { title: 'on windows', ancestorTitles: [], status: 'pending' },
+        { title: 'disabled', ancestorTitles: [], status: 'skipped' },
+        { title: 'not written yet', ancestorTitles: [], status: 'todo' }
+      ]
+    }]
+  };
+
+  const { skips } = adapter.processResults(results);
+
+  assert.deepEqual(skips.map(skip => [skip.name, adapter.logger.compactSkip(skip).s]), [
+    ['on windows', 'skip'], ['disabled', 'skip'], ['not written yet', 'todo']
+  ]);
+  assert.deepEqual(adapter.extractSummary(results), { tot: 4, pas: 1, fai: 0, skp: 3, rate: 25 });
+});
+
+test('files that fail to run and run-level errors are suite failures', () => {
+  const adapter = new JestAdapter(new CompactLogger({ tokenCounter: 'heuristic' }));
+  const { suiteFailures } = adapter.processResults({
+    runExecError: { message: 'Jest worker ran out of memory' },
+    testResults: [{
+      testFilePath: '/project/broken.test.js',
+      testExecError: { message: "Cannot find module './db' from 'broken.test.js'", stack: 'Error: Cannot find module' },
+      testResults: []
+    }]
+  });
+
+  suiteFailures.forEach(failure => adapter.logger.logSuiteFailure(failure));
+
+  assert.deepEqual(adapter.logger.suiteFails.map(failure => [failure.k, failure.t, failure.e.msg]), [
+    ['unhandled', 'Test run', 'Jest worker ran out of memory'],
+    ['collect', 'broken.test.js', "Cannot find module './db' from 'broken.test.js'"]
+  ]);
+});
+
+test('retryTimes attempts make a passing test a flaky pass', () => {
+  const adapter = new JestAdapter(new CompactLogger({ tokenCounter: 'heuristic' }));
+  const testResult = { testFilePath: '/project/net.test.js' };
+
+  const flaky = adapter.convertPass(testResult, {
+    title: 'fetches', ancestorTitles: [], status: 'passed', invocations: 3, retryReasons: ['Error: timeout\n    at fetch (/project/net.js:4:9)']
+  });
+  const compact = adapter.logger.compactPass(flaky);
+
+  assert.deepEqual([compact.s, compact.retry, compact.att.map(error => error.msg)], ['flakyPass', 2, ['Error: timeout']]);
+  assert.equal(adapter.logger.compactPass(adapter.convertPass(testResult, { title: 'ok', ancestorTitles: [], invocations: 1 })).s, undefined);
+});
@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { createRequire } from 'module';
+import { fileURLToPath } from 'url';
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const mochaBin = path.join(path.dirname(createRequire(import.meta.url).resolve('mocha/package.json')), 'bin', 'mocha.js');
+
+test('runs with the documented .mocharc.json config', { timeout: 60000 }, (t) => {
+  const project = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-compact-mocha-'));
+  t.after(() => fs.rmSync(project, { recursive: true, force: true }));
+
+  fs.mkdirSync(path.join(project, 'node_modules'));
+  fs.symlinkSync(root, path.join(project, 'node_modules', 'llm-compact-logger'), 'dir');
+  fs.mkdirSync(path.join(project, 'test'));
+  fs.writeFileSync(path.join(project, 'test', 'math.test.js'), [
+    "const assert = require('assert');",
+    "describe('math', () => {",
+    "  it('adds', () => { assert.strictEqual(1 + 1, 3); });",
+    "  it('subtracts', () => { assert.strictEqual(2 - 1, 1); });",
+    '});',
+    ''
+  ].join('\n'));
+  // Same as the README's "With Mocha"
+  fs.writeFileSync(path.join(project, '.mocharc.json'), JSON.stringify({
+    reporter: 'llm-compact-logger/adapters/mocha',
+    'reporter-option': ['outputDir=./debug', 'maxTokens=4000']
+  }));
+
+  // Mocha resolves reporters from its own location, here the repo's node_modules
+  const run = spawnSync(process.execPath, [mochaBin], {
+    cwd: project,
+    env: { ...process.env, NODE_PATH: path.join(project, 'node_modules') },
+    encoding: 'utf8',
+    timeout: 50000
+  });
+
+  assert.equal(run.status, 1, run.stderr);
+  const report = JSON.parse(fs.readFileSync(path.join(project, 'debug', 'debug-compact.json'), 'utf8'));
+  assert.deepEqual(report.sum, { tot: 2, pas: 1, fai: 1, rate: 50 });
+  assert.equal(report.fails[0].id, 'test/math.test.js > math > adds');
+  assert.equal(report.fails[0].f, 'math.test.js:3');
+});
@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createNodeTestReporter } from '../src/adapters/node-test-adapter.js';
+
+const file = `${process.cwd()}/math.test.js`;
+
+const assertionError = Object.assign(new Error('Expected values to be strictly equal'), {
+  name: 'AssertionError',
+  code: 'ERR_ASSERTION',
+  expected: 3,
+  actual: 2
+});
+
+const wrapped = Object.assign(new Error('test failed'), { code: 'ERR_TEST_FAILURE', cause: assertionError });
+
+const events = [
+  { type: 'test:start', data: { name: 'math', nesting: 0, file } },
+  { type: 'test:start', data: { name: 'adds', nesting: 1, file } },
+  { type: 'test:fail', data: { name: 'adds', nesting: 1, file, line: 5, details: { error: wrapped, duration_ms: 1 } } },
+  { type: 'test:diagnostic', data: { message: 'seed 42', nesting: 1, file } },
+  { type: 'test:start', data: { name: 'subtracts', nesting: 1, file } },
+  { type: 'test:pass', data: { name: 'subtracts', nesting: 1, file, details: { duration_ms: 2.4 } } },
+  { type: 'test:start', data: { name: 'divides', nesting: 1, file } },
+  { type: 'test:pass', data: { name: 'divides', nesting: 1, file, todo: 'needs rounding', details: { duration_ms: 0 } } },
+  { type: 'test:fail', data: { name: 'math', nesting: 0, file, details: { type: 'suite', error: wrapped } } },
+  { type: 'test:summary', data: { counts: { tests: 3, passed: 1, failed: 1, todo: 1 } } }
+];
+
+async function* stream(list) {
+  yield* list;
+}
+
+const run = async (t) => {
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'node-test-reporter-'));
+  t.after(() => fs.rmSync(outputDir, { recursive: true, force: true }));
+
+  const reporter = createNodeTestReporter({
+    outputDir,
+    tokenCounter: 'heuristic',
+    enhancements: { codeContext: false, stack: false, coverage: false, links: false, rootCause: false }
+  });
+
+  const output = [];
+  for await (const chunk of reporter(stream(events))) {
+    output.push(chunk);
+  }
+
+  const compact = JSON.parse(fs.readFileSync(path.join(outputDir, 'debug-compact.json'), 'utf8'));
+  return { output: output.join(''), compact };
+};
+
+test('failures are unwrapped to the assertion and keep their describe path', async (t) => {
+  const { compact } = await run(t);
+  const [failure] = compact.fails;
+
+  assert.deepEqual(compact.sum, { tot: 3, pas: 1, fai: 1, skp: 1, rate: 33 });
+  assert.equal(compact.fails.length, 1);
+  assert.equal(failure.t, 'adds');
+  assert.equal(failure.id, 'math.test.js > math > adds');
+  assert.equal(failure.e.type, 'AssertionError');
+  assert.deepEqual([failure.e.expected, failure.e.actual], [3, 2]);
+  assert.deepEqual(failure.ctx.diag, ['seed 42']);
+});
+
+test('the summary goes to the reporter stream, not the console', async (t) => {
+  const log = t.mock.method(console, 'log', () => {});
+  const { output } = await run(t);
+
+  assert.equal(log.mock.callCount(), 0);
+  assert.match(output, /Debug Reports Generated/);
+  assert.match(output, /debug-compact\.json/);
+});
@@ -0,0 +1,110 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { PersistentIndex } from '../src/enhancements/persistent-index.js';
+
+// Optional dependency; its native module may also be built for another Node version
+const Database = await import('better-sqlite3')
+  .then((mod) => {
+    new mod.default(':memory:').close();
+    return mod.default;
+  })
+  .catch(() => null);
+
+test('migrated rows are taken over by the new test ID', { skip: !Database && 'better-sqlite3 not installed' }, async (t) => {
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-compact-index-'));
+  t.after(() => fs.rmSync(outputDir, { recursive: true, force: true }));
+
+  // A database from before test IDs: results keyed by name, file is the base name
+  fs.mkdirSync(path.join(outputDir, '.test-index'));
+  const old = new Database(path.join(outputDir, '.test-index', 'history.db'));
+  old.exec(`
+    CREATE TABLE runs (id INTEGER PRIMARY KEY AUTOINCREMENT, timestamp TEXT NOT NULL, git_hash TEXT, git_branch TEXT,
+      total_tests INTEGER, passed INTEGER, failed INTEGER, duration_ms INTEGER, metadata TEXT);
+    CREATE TABLE results (id INTEGER PRIMARY KEY AUTOINCREMENT, run_id INTEGER NOT NULL, test_name TEXT NOT NULL,
+      file TEXT NOT NULL, status TEXT NOT NULL, duration_ms INTEGER, error_type TEXT, error_message TEXT,
+      error_hash TEXT, stack_trace TEXT);
+    INSERT INTO runs (timestamp) VALUES (datetime('now', '-2 days')), (datetime('now', '-1 days'));
+    INSERT INTO results (run_id, test_name, file, status) VALUES
+      (1, 'adds', 'math.test.js', 'pass'), (2, 'adds', 'math.test.js', 'fail'),
+      (1, 'removed test', 'gone.test.js', 'pass'), (2, 'removed test', 'gone.test.js', 'fail');
+  `);
+  old.close();
+
+  const index = new PersistentIndex(outputDir);
+  t.after(() => index.close());
+  await index.initialize();
+
+  // Flagged, not listed as tests of their own
+  assert.deepEqual(await index.getFlakyTests(), []);
+
+  const runId = await index.recordTestRun({ tot: 1, pas: 1, fai: 0 });
+  await index.recordTestResults(runId, [{ t: 'adds', id: 'src/math.test.js > math > adds', f: 'math.test.js:4', d: 3 }]);
+
+  const history = await index.getTestHistory('src/math.test.js > math > adds');
+  assert.equal(history.length, 3);
+
+  const flaky = await index.getFlakyTests();
+  assert.deepEqual(flaky.map(row => row.test_id), ['src/math.test.js > math > adds']);
+});
+
+test('tests skipped in every run since a date are listed with their reason', { skip: !Database && 'better-sqlite3 not installed' }, async (t) => {
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-compact-index-'));
+  t.after(() => fs.rmSync(outputDir, { recursive: true, force: true }));
+
+  const index = new PersistentIndex(outputDir);
+  t.after(() => index.close());
+
+  const record = async (daysAgo, tests) => {
+    const runId = await index.recordTestRun({ tot: tests.length });
+    index.db.prepare('UPDATE runs SET timestamp = ? WHERE id = ?')
+      .run(new Date(Date.now() - daysAgo * 86400000).toISOString(), runId);
+    await index.recordTestResults(runId, tests);
+  };
+
+  await record(30, [
+    { t: 'on windows', f: 'os.test.js', s: 'skip', why: 'not on linux' },
+    { t: 'export', f: 'csv.test.js', s: 'todo' },
+    { t: 'retries', f: 'net.test.js', d: 4 }
+  ]);
+  await record(20, [
+    { t: 'on windows', f: 'os.test.js', s: 'skip', why: 'not on linux' },
+    { t: 'export', f: 'csv.test.js', s: 'todo' },
+    { t: 'retries', f: 'net.test.js', s: 'skip' }
+  ]);
+  await record(1, [
+    { t: 'on windows', f: 'os.test.js', s: 'skip', why: 'not on linux' },
+    { t: 'export', f: 'csv.test.js', d: 2 },
+    { t: 'retries', f: 'net.test.js', s: 'skip' }
+  ]);
+
+  const skipped = await index.getSkippedTests(7);
+  assert.deepEqual(skipped.map(row => [row.test_id, row.runs, row.reason]), [
+    ['os.test.js > on windows', 3, 'not on linux'],
+    ['net.test.js > retries', 2, null]
+  ]);
+  assert.deepEqual(await index.getSkippedTests(25), [skipped[0]]);
+});
+
+test('a flaky pass is stored with its own status and makes the test flaky', { skip: !Database && 'better-sqlite3 not installed' }, async (t) => {
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-compact-index-'));
+  t.after(() => fs.rmSync(outputDir, { recursive: true, force: true }));
+
+  const index = new PersistentIndex(outputDir);
+  t.after(() => index.close());
+
+  const runId = await index.recordTestRun({ tot: 2, pas: 2, fai: 0 });
+  await index.recordTestResults(runId, [
+    { t: 'fetches', f: 'net.test.js', d: 30, s: 'flakyPass', retry: 1, att: [{ type: 'Error', msg: 'timeout' }] },
+    { t: 'parses', f: 'net.test.js', d: 2 }
+  ]);
+
+  const [row] = await index.getTestHistory('net.test.js > fetches');
+  assert.deepEqual([row.status, row.error_message], ['flakyPass', 'timeout']);
+  assert.deepEqual((await index.getFlakyTests()).map(test => [test.test_id, test.flaky_passes]), [['net.test.js > fetches', 1]]);
+  assert.deepEqual(await index.getFlakiness('net.test.js > fetches'), {
+    passRate: '100.0', isFlaky: true, totalRuns: 1, passes: 1, failures: 0, flakyPasses: 1
+  });
+});
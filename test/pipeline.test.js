@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CompactLogger } from '../src/compact-logger.js';
+import { EnhancementPipeline, runEnhancementPipeline } from '../src/enhancements/pipeline.js';
+
+const failure = {
+  name: 'loads user',
+  location: { file: 'user.test.js', line: 3 },
+  error: { type: 'Error', message: 'boom' }
+};
+
+test('enhancers run after the enhancers they depend on', async () => {
+  const calls = [];
+  const step = (name, after = []) => ({
+    name,
+    after,
+    enhance: (f) => {
+      calls.push(name);
+      return f;
+    }
+  });
+
+  const pipeline = new EnhancementPipeline()
+    .register(step('links', ['stack']))
+    .register(step('serviceLog', ['missing']))
+    .register(step('stack'));
+
+  await pipeline.run([failure]);
+
+  assert.deepEqual(calls, ['serviceLog', 'stack', 'links']);
+});
+
+test('dependency cycles are skipped and reported', async () => {
+  const pipeline = new EnhancementPipeline()
+    .register({ name: 'a', after: ['b'], enhance: f => f })
+    .register({ name: 'b', after: ['a'], enhance: f => f });
+
+  const { errors } = await pipeline.run([failure]);
+
+  assert.deepEqual(errors.map(error => error.name), ['a', 'b']);
+  assert.match(errors[0].msg, /Dependency cycle/);
+});
+
+test('register() rejects enhancers without a name or enhance function', () => {
+  assert.throws(() => new EnhancementPipeline().register({ enhance: f => f }), /requires a name/);
+  assert.throws(() => new EnhancementPipeline().register({ name: 'x' }), /must implement enhance/);
+});
+
+test('a throwing or undeclared async enhancer is isolated and listed in meta', async () => {
+  const logger = new CompactLogger({ tokenCounter: 'heuristic' });
+
+  await runEnhancementPipeline({}, {
+    logger,
+    failures: [failure, { ...failure, name: 'second' }],
+    custom: [
+      { name: 'broken', enhance: () => { throw new Error('no log file'); } },
+      { name: 'sneakyAsync', enhance: async f => f },
+      { name: 'serviceLog', async: true, after: ['broken'], enhance: async f => ({ ...f, svc: ['connection reset'] }) }
+    ]
+  });
+
+  assert.equal(logger.failures.length, 2);
+  assert.deepEqual(logger.failures[0].svc, ['connection reset']);
+  assert.deepEqual(logger.metadata.enhancerErrors, [
+    { name: 'broken', count: 2, msg: 'no log file' },
+    { name: 'sneakyAsync', count: 2, msg: 'returned a Promise but is not declared async' }
+  ]);
+});
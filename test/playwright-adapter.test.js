@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CompactLogger } from '../src/compact-logger.js';
+import { PlaywrightAdapter } from '../src/adapters/playwright-adapter.js';
+
+const adapter = new PlaywrightAdapter(new CompactLogger({ tokenCounter: 'heuristic' }));
+
+const pwTest = {
+  id: 'abc',
+  title: 'logs in',
+  location: { file: `${process.cwd()}/e2e/login.spec.ts`, line: 12 },
+  titlePath: () => ['', 'chromium', 'login.spec.ts', 'auth', 'logs in'],
+  parent: { project: () => ({ name: 'chromium', use: { browserName: 'chromium' } }) },
+  annotations: []
+};
+
+// Message as printed by expect(locator).toHaveText() with colors on
+const coloredMessage = 'Error: \u001b[2mexpect(\u001b[22m\u001b[31mlocator\u001b[39m\u001b[2m).\u001b[22mtoHaveText\u001b[2m(\u001b[22m\u001b[32mexpected\u001b[39m\u001b[2m)\u001b[22m\n\n' +
+  'Locator: getByRole(\'heading\')\n' +
+  'Expected string: \u001b[32m"Welcome"\u001b[39m\n' +
+  'Received string: \u001b[31m"Hello"\u001b[39m';
+
+test('color codes are stripped from expect() messages before parsing', () => {
+  const failure = adapter.convertFailure(pwTest, {
+    status: 'failed',
+    error: { message: coloredMessage, stack: `${coloredMessage}\n    at /e2e/login.spec.ts:14:5` }
+  });
+
+  assert.equal(failure.error.type, 'Error');
+  assert.equal(failure.error.expected, '"Welcome"');
+  assert.equal(failure.error.actual, '"Hello"');
+  assert.doesNotMatch(failure.error.message, /\u001b/);
+  assert.doesNotMatch(failure.error.stack, /\u001b/);
+  assert.doesNotMatch(JSON.stringify(adapter.logger.compactFailure(failure)), /\\u001b/);
+});
+
+test('failures carry project, retry, failed step and attachments', () => {
+  const failure = adapter.convertFailure(pwTest, {
+    status: 'timedOut',
+    retry: 1,
+    error: { message: 'Test timeout of 30000ms exceeded.' },
+    steps: [
+      { title: 'Log in', error: {}, steps: [{ title: 'locator.click(button)', error: {} }] }
+    ],
+    attachments: [
+      { name: 'trace', path: 'test-results/trace.zip' },
+      { name: 'screenshot', path: 'test-results/1.png' },
+      { name: 'video' }
+    ]
+  });
+
+  assert.equal(failure.name, 'auth > logs in');
+  assert.equal(failure.id, 'e2e/login.spec.ts > auth > logs in @chromium');
+  assert.equal(failure.error.type, 'TimeoutError');
+  assert.deepEqual(failure.context, {
+    prj: 'chromium',
+    retry: 1,
+    step: 'Log in > locator.click(button)',
+    trace: 'test-results/trace.zip',
+    shots: ['test-results/1.png']
+  });
+});
+
+test('passes after failed attempts keep the attempt errors', () => {
+  const pass = adapter.convertPass(pwTest, { status: 'passed', retry: 1, duration: 40 }, [
+    { message: 'Error: \u001b[31mflaked\u001b[39m' }
+  ]);
+
+  assert.equal(pass.retries, 1);
+  assert.deepEqual(pass.attempts, [{ name: 'Error', message: 'Error: flaked', stack: undefined }]);
+});
+
+test('fixme annotations are reported as todo with their reason', () => {
+  const skip = adapter.convertSkip({ ...pwTest, annotations: [{ type: 'fixme', description: 'flaky login' }] }, { status: 'skipped' });
+
+  assert.equal(skip.status, 'todo');
+  assert.equal(skip.reason, 'flaky login');
+  assert.equal(adapter.classify({ status: 'interrupted' }), 'fail');
+});
+
+test('errors with a location are collection failures of that file', () => {
+  const error = adapter.convertGlobalError({
+    message: 'SyntaxError: Unexpected token',
+    location: { file: '/repo/e2e/broken.spec.ts', line: 3 }
+  });
+
+  assert.equal(error.kind, 'collect');
+  assert.equal(error.error.type, 'SyntaxError');
+  assert.equal(adapter.convertGlobalError({ message: 'boom' }).kind, 'unhandled');
+});
@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeReport, encodeToon, encodeYaml, encodeMarkdown } from '../src/report-formats.js';
+
+const report = {
+  sum: { tot: 3, pas: 1, fai: 2, rate: 33 },
+  fails: [
+    { t: 'parses count', f: 'parse.test.js:4', e: { type: 'AssertionError', msg: 'expected 1, got 2', E: '1', R: 'true' } },
+    { t: 'a | b', f: 'pipe.test.js:9', e: { type: 'TypeError', msg: 'x is null' }, stk: [{ fn: 'load', at: 'src/load.js:3' }] }
+  ]
+};
+
+// Reads a TOON cell back the way a decoder would
+const readCell = (cell) => {
+  if (cell.startsWith('"')) return JSON.parse(cell);
+  if (cell === 'true' || cell === 'false') return cell === 'true';
+  if (cell === 'null') return null;
+  if (!Number.isNaN(Number(cell)) && cell !== '') return Number(cell);
+  return cell;
+};
+
+// Splits a TOON row on commas outside quotes and brackets
+const splitRow = (row) => {
+  const cells = [];
+  let depth = 0;
+  let quoted = false;
+  let cell = '';
+  for (let i = 0; i < row.length; i++) {
+    const char = row[i];
+    if (char === '\\' && quoted) {
+      cell += char + row[++i];
+      continue;
+    }
+    if (char === '"') quoted = !quoted;
+    if (!quoted && (char === '[' || char === '{')) depth++;
+    if (!quoted && (char === ']' || char === '}')) depth--;
+    if (char === ',' && !quoted && depth === 0) {
+      cells.push(cell);
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  return [...cells, cell];
+};
+
+test('toon writes uniform arrays as a header and one row each', () => {
+  const lines = encodeToon(report).split('\n');
+
+  assert.equal(lines[0], 'sum:');
+  assert.equal(lines[5], 'fails[2]{t,f,e.type,e.msg,e.E,e.R,stk}:');
+  assert.equal(splitRow(lines[6].trim()).length, 7);
+});
+
+test('toon quotes cells that would read back as another type or split the row', () => {
+  const lines = encodeToon(report).split('\n');
+  const cells = splitRow(lines[6].trim());
+
+  assert.deepEqual(cells.map(readCell), ['parses count', 'parse.test.js:4', 'AssertionError', 'expected 1, got 2', '1', 'true', '']);
+  assert.equal(encodeToon({ v: 'key: value' }), 'v: "key: value"\n');
+  assert.equal(encodeToon({ v: '-1' }), 'v: "-1"\n');
+  assert.equal(encodeToon({ v: 'null', n: 2, ok: false }), 'v: "null"\nn: 2\nok: false\n');
+});
+
+test('yaml quotes strings only when needed and separates failures', () => {
+  const yaml = encodeYaml(report);
+
+  assert.match(yaml, /^sum:\n {2}tot: 3\n/);
+  assert.match(yaml, /\n {2}- t: parses count\n {4}f: parse\.test\.js:4\n/);
+  assert.match(yaml, / {6}msg: expected 1, got 2\n {6}E: "1"\n {6}R: "true"\n\n {2}- t: a \| b\n/);
+});
+
+test('markdown lists failures in a table with details', () => {
+  const markdown = encodeMarkdown(report);
+
+  assert.match(markdown, /^## Test report: 2 of 3 failed \(33% pass rate\)\n/);
+  assert.match(markdown, /\| a \\\| b \| `pipe\.test\.js:9` \| TypeError: x is null \|/);
+  assert.match(markdown, /<summary>parses count<\/summary>\n\n- expected `1`, received `true`/);
+  assert.match(markdown, /```\nload src\/load\.js:3\n```/);
+});
+
+test('encodeReport rejects unknown formats', () => {
+  assert.equal(encodeReport(report, 'json'), JSON.stringify(report));
+  assert.throws(() => encodeReport(report, 'xml'), /Unknown report format 'xml'/);
+});
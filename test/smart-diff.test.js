@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SmartDiffEnhancer } from '../src/enhancements/smart-diff.js';
+
+const diff = (expected, actual) => new SmartDiffEnhancer().generateStructuralDiff({ expected, actual });
+
+test('lists leaf-level changes with paths', () => {
+  const result = diff(
+    { data: { items: [{ price: 10 }, { price: 20 }], total: 2 } },
+    { data: { items: [{ price: 10 }, { price: '20' }], total: 3 } }
+  );
+
+  assert.deepEqual(result.changes, [
+    { path: 'data.items[1].price', expected: 20, actual: '20', kind: 'type' },
+    { path: 'data.total', expected: 2, actual: 3, kind: 'changed' }
+  ]);
+});
+
+test('aligns arrays so an inserted item is one extra', () => {
+  const result = diff([1, 2, 3, 4], [1, 9, 2, 3, 4]);
+
+  assert.deepEqual(result.changes, [{ path: '[1]', actual: 9, kind: 'extra' }]);
+});
+
+test('stops at cycles in circular values', { timeout: 5000 }, () => {
+  const make = (x) => {
+    const node = { x };
+    node.a = node;
+    node.b = node;
+    node.c = node;
+    return node;
+  };
+
+  const result = diff(make(1), make(2));
+  assert.deepEqual(result.changes, [{ path: 'x', expected: 1, actual: 2, kind: 'changed' }]);
+
+  // A cycle on one side only
+  const unrolled = { x: 1, a: { x: 1 }, b: { x: 1 }, c: { x: 1 } };
+  const changes = diff(make(1), unrolled).changes;
+  assert.deepEqual(changes.map(change => change.path), ['a', 'b', 'c']);
+  assert.equal(changes[0].expected, '[Circular]');
+});
+
+test('caps the walk over shared references', { timeout: 5000 }, () => {
+  const build = (leaf) => {
+    let node = { leaf };
+    for (let depth = 0; depth < 18; depth++) {
+      node = { left: node, right: node };
+    }
+    return node;
+  };
+
+  const result = diff(build(1), build(2));
+  assert.equal(result.truncated, true);
+  assert.equal(result.changes.length, 10);
+  assert.ok(result.omitted > 0);
+});
+
+test('leaves errors without actual/expected values alone', () => {
+  const enhancer = new SmartDiffEnhancer();
+  const failure = { name: 'hook', error: { type: 'Error', message: 'connect failed', expected: 'undefined', actual: 'undefined' } };
+
+  assert.equal(enhancer.enhance(failure), failure);
+});
+
+test('omits the hint when there is none', () => {
+  const enhanced = new SmartDiffEnhancer().enhance({ name: 't', error: { type: 'AssertionError', message: 'x', expected: 1, actual: 2 } });
+
+  assert.deepEqual(enhanced.e, { type: 'AssertionError', msg: 'x', actual: 2, expected: 1 });
+});
+
+test('long strings show a window around the first difference', () => {
+  const expected = `<div class="user">${'x'.repeat(120)}<span>Alice</span></div>`;
+  const actual = `<div class="user">${'x'.repeat(120)}<span>Alicia</span></div>`;
+  const { e } = new SmartDiffEnhancer({ stringContext: 10 }).enhance({ name: 't', error: { type: 'AssertionError', message: 'x', expected, actual } });
+
+  assert.deepEqual(e.diff, { type: 'string', at: 148, line: 1, col: 149 });
+  assert.equal(e.expected, '…<span>Alice</span></…');
+  assert.equal(e.actual, '…<span>Alicia</span><…');
+  assert.equal(e.hint, 'Strings differ at offset 148 (line 1, col 149); expected 162 chars, got 163');
+});
+
+test('multi-line strings get a unified diff of the changed lines', () => {
+  const expected = 'SELECT id,\n  name\nFROM users\nWHERE active = 1\nORDER BY id';
+  const actual = 'SELECT id,\n  name\nFROM users\nWHERE active = 0\nORDER BY id';
+  const { e } = new SmartDiffEnhancer().enhance({ name: 't', error: { type: 'AssertionError', message: 'x', expected, actual } });
+
+  assert.deepEqual([e.diff.line, e.diff.col], [4, 16]);
+  assert.deepEqual(e.diff.lines, ['@@ -3,3 +3,3 @@', ' FROM users', '-WHERE active = 1', '+WHERE active = 0', ' ORDER BY id']);
+});
+
+test('string hints tell whitespace-only and truncated mismatches apart', () => {
+  const enhancer = new SmartDiffEnhancer();
+  const hint = (expected, actual) => enhancer.enhance({ name: 't', error: { type: 'Error', message: 'x', expected, actual } }).e.hint;
+  const text = 'a'.repeat(150);
+
+  assert.match(hint(`${text} b`, `${text}  b`), /^Strings differ only in whitespace/);
+  assert.equal(hint(text, text.slice(0, 120)), 'Got only the first 120 of 150 expected characters - output cut short?');
+  assert.equal(hint(text, `${text}!!`), 'Got 2 extra characters after the expected 150');
+});
+
+test('undefined never matches a string when aligning arrays', () => {
+  for (const text of ['__undefined__', 'u', 'undefined']) {
+    const result = diff([{ id: 1, name: undefined }, 2], [{ id: 1, name: text }, 2]);
+    assert.deepEqual(result.changes, [{ path: '[0].name', expected: undefined, actual: text, kind: 'type' }], text);
+  }
+});
@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { SourceMapResolver } from '../src/enhancements/source-map-resolver.js';
+
+// Generated lines 1 and 2 → lines 1 and 2 of the only source
+const sourceMap = (source) => JSON.stringify({ version: 3, sources: [source], names: [], mappings: 'AAAA;AACA' });
+
+test('the last sourceMappingURL comment is the file\'s own map', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-compact-sourcemap-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  fs.writeFileSync(path.join(dir, 'vendor.js.map'), sourceMap('vendor.ts'));
+  fs.writeFileSync(path.join(dir, 'bundle.js.map'), sourceMap('src/user.ts'));
+  fs.writeFileSync(path.join(dir, 'bundle.js'), [
+    'const vendor = 1;',
+    '//# sourceMappingURL=vendor.js.map',
+    'const user = 2;',
+    '//# sourceMappingURL=bundle.js.map',
+    ''
+  ].join('\n'));
+
+  const resolved = new SourceMapResolver().resolve(path.join(dir, 'bundle.js'), 2, 1);
+  assert.deepEqual(resolved, { file: path.join(dir, 'src', 'user.ts'), line: 2, column: 1 });
+});
+
+test('inline maps are decoded and sourcesContent stands in for missing sources', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-compact-sourcemap-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const map = { ...JSON.parse(sourceMap('user.ts')), sourcesContent: ['const a: number = 1;\nthrow new Error();'] };
+  const file = path.join(dir, 'user.js');
+  fs.writeFileSync(file, `const a = 1;\nthrow new Error();\n//# sourceMappingURL=data:application/json;base64,${Buffer.from(JSON.stringify(map)).toString('base64')}\n`);
+
+  const resolver = new SourceMapResolver();
+  assert.deepEqual(resolver.resolve(`file://${file}`, 2, 1), { file: path.join(dir, 'user.ts'), line: 2, column: 1 });
+  assert.deepEqual(resolver.readLines(path.join(dir, 'user.ts')), ['const a: number = 1;', 'throw new Error();']);
+  assert.equal(resolver.resolve(file, 9, 1), null);
+});
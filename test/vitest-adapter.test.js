@@ -0,0 +1,160 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { CompactLogger } from '../src/compact-logger.js';
+import { VitestAdapter, VitestReporter } from '../src/adapters/vitest-adapter.js';
+
+const adapter = new VitestAdapter(new CompactLogger());
+
+const task = (error) => ({
+  id: 't1',
+  name: 'loads user',
+  file: { filepath: `${process.cwd()}/user.test.js` },
+  location: { line: 3 },
+  result: { state: 'fail', errors: [error] }
+});
+
+test('cause names lose the "Caused by: " prefix added by the default reporter', () => {
+  const error = {
+    name: 'Error',
+    message: 'load failed',
+    cause: { name: 'Caused by: TypeError', message: 'bad id', cause: { name: 'Caused by: RangeError', message: 'out of range' } }
+  };
+
+  const failure = adapter.convertFailure(task(error));
+
+  assert.equal(failure.error.cause.name, 'TypeError');
+  assert.equal(failure.error.cause.cause.name, 'RangeError');
+  assert.deepEqual(adapter.logger.compactFailure(failure).e.cause.map(link => link.type), ['TypeError', 'RangeError']);
+  assert.equal(error.cause.name, 'Caused by: TypeError');
+});
+
+test('a snapshot missing in CI is reported as not written', () => {
+  const failure = adapter.convertFailure(task({
+    name: 'Error',
+    message: 'Snapshot `loads user 1` mismatched',
+    expected: 'undefined',
+    actual: '{ "id": 1 }'
+  }));
+
+  assert.equal(failure.error.snapshot.expected, undefined);
+  const snap = adapter.logger.compactFailure(failure).snap;
+  assert.equal(snap.diff, undefined);
+  assert.match(snap.hint, /not written/);
+});
+
+test('a stored snapshot of undefined still gets a diff', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-compact-snap-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.mkdirSync(path.join(dir, '__snapshots__'));
+  fs.writeFileSync(path.join(dir, '__snapshots__', 'user.test.js.snap'), 'exports[`loads user 1`] = `undefined`;\n');
+
+  const failure = adapter.convertFailure({
+    ...task({ name: 'Error', message: 'Snapshot `loads user 1` mismatched', expected: 'undefined', actual: '{ "id": 1 }' }),
+    file: { filepath: path.join(dir, 'user.test.js') }
+  });
+
+  assert.equal(failure.error.snapshot.expected, 'undefined');
+});
+
+test('plain errors carry no "undefined" actual/expected', () => {
+  const failure = adapter.convertFailure(task({ name: 'Error', message: 'connect failed', expected: 'undefined', actual: 'undefined' }));
+
+  assert.equal(failure.error.expected, undefined);
+  assert.equal(failure.error.actual, undefined);
+});
+
+test('failures report the last console lines of their test; passes drop theirs', () => {
+  const logger = new CompactLogger({ tokenCounter: 'heuristic', maxLogLines: 3 });
+  const reporter = new VitestReporter();
+  reporter.logger = logger;
+  reporter.adapter = new VitestAdapter(logger);
+  reporter.ctx = { state: { idMap: new Map([['t2', { id: 't2', type: 'test', name: 'ok', file: { filepath: 'user.test.js' } }]]) } };
+
+  for (const content of ['connecting', 'retrying\nretrying', 'db ready']) {
+    reporter.onUserConsoleLog({ taskId: 't1', type: 'stdout', content });
+  }
+  reporter.onUserConsoleLog({ taskId: 't1', type: 'stderr', content: 'id is undefined' });
+  reporter.onUserConsoleLog({ taskId: 't2', type: 'stdout', content: 'fine' });
+  reporter.onUserConsoleLog({ type: 'stdout', content: 'outside any test' });
+
+  reporter.onTaskUpdate([['t2', { state: 'pass', duration: 1 }]]);
+
+  const failure = reporter.adapter.convertFailure(task({ name: 'Error', message: 'boom' }));
+  assert.deepEqual(logger.compactFailure(failure).log, ['retrying ×2', 'db ready', 'stderr: id is undefined']);
+  assert.deepEqual([...reporter.adapter.consoleLogs.keys()], ['t1']);
+});
+
+test('skipped and todo tests are reported and counted in skp', () => {
+  const file = { filepath: `${process.cwd()}/user.test.js` };
+  const tests = [
+    { id: 't1', type: 'test', name: 'loads user', mode: 'run', result: { state: 'pass', duration: 2 } },
+    { id: 't2', type: 'test', name: 'on windows', mode: 'run', result: { state: 'skip', note: 'not on linux' } },
+    { id: 't3', type: 'test', name: 'not written yet', mode: 'todo' },
+    { id: 't4', type: 'test', name: 'skipped by .skip', mode: 'skip' }
+  ];
+  const files = [{ ...file, tasks: [{ type: 'suite', name: 'user', tasks: tests }] }];
+
+  const { skips } = adapter.processFiles(files);
+
+  assert.deepEqual(skips.map(skip => adapter.logger.compactSkip(skip)), [
+    { t: 'on windows', id: 'user.test.js > user > on windows', f: 'user.test.js', s: 'skip', why: 'not on linux' },
+    { t: 'not written yet', id: 'user.test.js > user > not written yet', f: 'user.test.js', s: 'todo' },
+    { t: 'skipped by .skip', id: 'user.test.js > user > skipped by .skip', f: 'user.test.js', s: 'skip' }
+  ]);
+  assert.deepEqual(adapter.extractSummary(files), { tot: 4, pas: 1, fai: 0, skp: 3, rate: 25 });
+});
+
+test('load, hook and unhandled errors are reported as suite failures with code context', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-compact-suite-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  t.mock.method(console, 'log', () => {});
+
+  const userFile = path.join(dir, 'user.test.js');
+  fs.writeFileSync(userFile, "describe('user', () => {\n  beforeAll(async () => {\n    await db.connect();\n  });\n  test('loads', () => {});\n});\n");
+  const brokenFile = path.join(dir, 'broken.test.js');
+
+  const files = [
+    { name: 'broken.test.js', filepath: brokenFile, tasks: [], result: { state: 'fail', errors: [{ name: 'SyntaxError', message: 'Unexpected token', stack: `SyntaxError: Unexpected token\n    at ${brokenFile}:1:5` }] } },
+    {
+      name: 'user.test.js',
+      filepath: userFile,
+      tasks: [{
+        type: 'suite',
+        name: 'user',
+        location: { line: 1 },
+        result: { state: 'fail', errors: [{ name: 'ReferenceError', message: 'db is not defined', stack: `ReferenceError: db is not defined\n    at ${userFile}:3:5` }] },
+        tasks: [{ id: 't1', type: 'test', name: 'loads', mode: 'skip' }]
+      }]
+    }
+  ];
+  const errors = [{ name: 'Error', type: 'Unhandled Rejection', message: 'socket hang up', VITEST_TEST_NAME: 'loads', VITEST_TEST_PATH: userFile }];
+
+  const reporter = new VitestReporter({ outputDir: dir, tokenCounter: 'heuristic', enhancements: { coverage: false, links: false } });
+  reporter.onInit({});
+  await reporter.onFinished(files, errors);
+
+  const { sum, suiteFails } = JSON.parse(fs.readFileSync(path.join(dir, 'debug-compact.json'), 'utf8'));
+  assert.equal(sum.sfa, 3);
+  assert.deepEqual(suiteFails.map(failure => [failure.k, failure.t, failure.e.type]), [
+    ['collect', 'broken.test.js', 'SyntaxError'],
+    ['hook', 'user', 'ReferenceError'],
+    ['unhandled', 'Unhandled Rejection during "loads"', 'Error']
+  ]);
+  assert.equal(suiteFails[1].code.fail, 'await db.connect();');
+});
+
+test('a test that passed on a retry is a flaky pass with the errors of its failed attempts', () => {
+  const pass = adapter.convertPass({
+    ...task(),
+    result: { state: 'pass', duration: 12, retryCount: 2, errors: [{ name: 'Error', message: 'timeout' }, { name: 'Error', message: 'ECONNRESET' }] }
+  });
+
+  const compact = adapter.logger.compactPass(pass);
+  assert.equal(compact.s, 'flakyPass');
+  assert.equal(compact.retry, 2);
+  assert.deepEqual(compact.att.map(error => error.msg), ['timeout', 'ECONNRESET']);
+  assert.equal(adapter.logger.compactPass(adapter.convertPass({ ...task(), result: { state: 'pass', duration: 1 } })).s, undefined);
+});